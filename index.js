@@ -6,6 +6,31 @@ require('dotenv').config();
 const readline = require('readline');
 const { query } = require('./src/query.js');
 const { createUserMessage, createAssistantMessage } = require('./src/utils/messages.js');
+const { setPermissionMode } = require('./src/utils/permissions.js');
+const { parseCliArgs, getCliUsage } = require('./src/utils/cli.js');
+const { formatEventLine, serializeError, serializeUsage } = require('./src/utils/events.js');
+const { availableTools } = require('./src/tools.js');
+const { loadPlugins } = require('./src/plugins.js');
+const { loadMcpServers, closeMcpServers } = require('./src/services/mcp.js');
+const { getModel } = require('./src/services/providers.js');
+const { createSession, saveSessionMessages, loadSession } = require('./src/utils/sessions.js');
+const { findCommand, parseCommandLine, completeCommandLine } = require('./src/commands.js');
+const { loadMemoryFiles, buildSystemPrompt, appendMemoryNote } = require('./src/memory.js');
+const { settings, loadSettings } = require('./src/settings.js');
+const { usageTracker, formatUsage } = require('./src/utils/usage.js');
+const { createToolRenderer } = require('./src/utils/toolRenderer.js');
+
+// System instruction for Claude; the instructions of the memory files (AGENT.md) are added to it
+const SYSTEM_PROMPT = `You are a helpful assistant with access to tools.
+When you receive a request that requires access to files or directories,
+use the tools available to you instead of saying you don't have access.
+Always use the appropriate tools for each task and explain your actions.
+After successfully executing a tool, especially one that modifies files like 'editFile',
+provide a brief confirmation message and wait for the next user prompt.
+Avoid further actions or explanations unless specifically asked.`;
+
+// Outcome of loading the plugin and MCP tools, shown by /tools
+let pluginReport = { loaded: [], errors: [] };
 
 /**
  * Displays the welcome screen.
@@ -16,7 +41,7 @@ function showWelcomeScreen() {
     console.log('=======================================================\n');
     console.log('Welcome! This system enables Claude to read files,');
     console.log('search directories and more.\n');
-    console.log('Enter your questions or "exit" to quit.\n');
+    console.log('Enter your questions, /help for commands or /exit to quit.\n');
     console.log('=======================================================\n');
 }
 
@@ -30,62 +55,285 @@ function createReadlineInterface() {
         output: process.stdout,
         prompt: '> ',
         terminal: true,  // Enable terminal mode for proper input handling
+        completer: completeCommandLine, // Tab completion of slash commands
     });
 }
 
 /**
- * Starts the main program loop.
+ * Reads the complete standard input.
+ * @returns {Promise<string>} - The content of stdin.
  */
-async function main() {
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Opens the session requested on the command line: a resumed one or a new one.
+ * @param {object} options - The parsed command line options.
+ * @returns {Promise<object>} - { session, messages }.
+ */
+async function openSession(options) {
+    if (!options.continue && !options.resume) {
+        return { session: createSession(), messages: [] };
+    }
+
+    const { session, messages, repairedCount } = await loadSession(options.resume);
+    // Notices go to stderr, in --print mode stdout only carries the answer or the events
+    console.error(`[Resumed session ${session.id} with ${messages.length} messages]`);
+    if (repairedCount > 0) {
+        console.error(`[${repairedCount} interrupted tool call(s) marked as failed]`);
+    }
+    return { session, messages };
+}
+
+/**
+ * Saves new messages to the session transcript. A failing save only prints a warning,
+ * so it never interrupts the conversation.
+ * @param {object} session - The current session.
+ * @param {Array<object>} messages - The conversation history.
+ * @param {boolean} rewrite - Rewrites the whole transcript, e.g. after compaction replaced messages.
+ */
+async function persistSession(session, messages, rewrite = false) {
+    try {
+        await saveSessionMessages(session, messages, rewrite);
+    } catch (error) {
+        console.warn(`\n[Warning: Could not save the session: ${error.message}]`);
+    }
+}
+
+/**
+ * Runs a single prompt to completion without the REPL (--print mode).
+ * Only the final answer (or the event stream) is written to stdout, everything else goes to stderr.
+ * @param {object} options - The parsed command line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function runPrintMode(options) {
+    const streamJson = options.outputFormat === 'stream-json';
+    const startTime = Date.now();
+
+    // Without a prompt argument (or with "-"), the prompt is read from stdin
+    let prompt = options.prompt;
+    if ((prompt === null || prompt === '-') && !process.stdin.isTTY) {
+        prompt = await readStdin();
+    }
+    if (!prompt || !prompt.trim() || prompt === '-') {
+        const error = new Error('No prompt given. Pass it after -p or pipe it via stdin.');
+        if (streamJson) {
+            process.stdout.write(formatEventLine({ type: 'error', error }));
+        }
+        console.error(`❌ Error: ${error.message}`);
+        return 1;
+    }
+
+    // Nobody can answer permission prompts, so only the policy file and --allow-tools decide
+    setPermissionMode({ interactive: false, allowedTools: settings.allowed_tools });
+
+    if (streamJson) {
+        process.stdout.write(formatEventLine({
+            type: 'init',
+            model: getModel(),
+            tools: availableTools.map(tool => tool.name),
+        }));
+    }
+
+    let session;
+    let messages;
+    try {
+        ({ session, messages } = await openSession(options));
+    } catch (error) {
+        if (streamJson) {
+            process.stdout.write(formatEventLine({ type: 'error', error }));
+        }
+        console.error(`❌ Error: ${error.message}`);
+        return 1;
+    }
+    messages.push(createUserMessage(prompt.trim()));
+    let finalAnswer = '';
+    let failed = false;
+
+    const systemPrompt = buildSystemPrompt(SYSTEM_PROMPT, await loadMemoryFiles());
+    for await (const event of query(messages, systemPrompt)) {
+        await persistSession(session, messages, event.type === 'compacted');
+        if (streamJson) {
+            process.stdout.write(formatEventLine(event));
+        }
+
+        switch (event.type) {
+            case 'final_assistant_response':
+                // Text before tool calls is replaced by the answer of the last round
+                finalAnswer = event.content;
+                break;
+            case 'error':
+                console.error(`❌ Error: ${serializeError(event.error).message}`);
+                failed = true;
+                break;
+            case 'limit_reached':
+                // Nobody can decide to continue, so the query stops here
+                console.error(`❌ Limit reached: ${event.message}`);
+                failed = true;
+                break;
+        }
+    }
+
+    await persistSession(session, messages);
+
+    if (streamJson) {
+        process.stdout.write(formatEventLine({
+            type: 'result',
+            session_id: session.id,
+            is_error: failed,
+            result: finalAnswer.trim(),
+            duration_ms: Date.now() - startTime,
+            usage: serializeUsage(usageTracker.session),
+        }));
+    } else if (!failed) {
+        process.stdout.write(finalAnswer.trim() + '\n');
+    }
+    return failed ? 1 : 0;
+}
+
+/**
+ * Starts the interactive REPL loop.
+ * @param {object} options - The parsed command line options.
+ */
+async function runRepl(options) {
     showWelcomeScreen();
 
-    // Create a readline interface
-    const rl = createReadlineInterface();
+    // Manage conversation history, saved as session transcript
+    const opened = await openSession(options);
+    let session = opened.session;
+    const messages = opened.messages;
+    console.log(`[Session ${session.id}]`);
+    const memoryFiles = await loadMemoryFiles();
+    if (memoryFiles.length > 0) {
+        console.log(`[Instructions loaded from ${memoryFiles.map(file => file.displayPath).join(' and ')}]`);
+    }
+    console.log('');
 
-    // Manage conversation history
-    const messages = [];
+    // Overrides SYSTEM_PROMPT for this session, set with /system
+    let systemPromptOverride = null;
 
-    // System instruction for Claude
-    const systemPrompt = `You are a helpful assistant with access to tools.
-When you receive a request that requires access to files or directories,
-use the tools available to you instead of saying you don't have access.
-Always use the appropriate tools for each task and explain your actions.
-After successfully executing a tool, especially one that modifies files like 'editFile',
-provide a brief confirmation message and wait for the next user prompt.
-Avoid further actions or explanations unless specifically asked.`;
+    // Create a readline interface
+    const rl = createReadlineInterface();
 
     // Abort signal for lengthy requests
     let controller = new AbortController();
     let signal = controller.signal;
     let isAwaitingUserInput = true;
 
+    // Shows running tools with a spinner and the results of finished ones
+    const toolRenderer = createToolRenderer();
+
+    /**
+     * Cancels the running request or command.
+     * @returns {boolean} - False if nothing was running.
+     */
+    const abortRequest = () => {
+        if (isAwaitingUserInput) {
+            return false;
+        }
+        console.log('\nAborting current request...');
+        toolRenderer.stop();
+        controller.abort();
+        controller = new AbortController();
+        signal = controller.signal;
+        isAwaitingUserInput = true;
+        rl.resume();
+        rl.prompt();
+        return true;
+    };
+
+    // What slash commands can see and change of the REPL
+    const commandContext = {
+        messages,
+        toolRenderer,
+        pluginReport,
+        get session() { return session; },
+        get signal() { return signal; },
+        getSystemPrompt: () => systemPromptOverride ?? SYSTEM_PROMPT,
+        setSystemPrompt: (text) => { systemPromptOverride = text; },
+        isSystemPromptOverridden: () => systemPromptOverride !== null,
+        startNewSession: () => { session = createSession(); },
+        saveSession: (rewrite = false) => persistSession(session, messages, rewrite),
+        abortRequest,
+        exit: () => {
+            console.log('Goodbye! 👋');
+            rl.close();
+            process.exit(0);
+        },
+    };
+
+    /**
+     * Runs a slash command; errors of (plugin) commands are printed instead of ending the REPL.
+     * @param {object} command - The command from the registry.
+     * @param {string} args - The text after the command name.
+     */
+    const runCommand = async (command, args) => {
+        try {
+            const pending = command.run(args, commandContext);
+            // Other input waits until asynchronous commands like /compact are done; /stop can abort them
+            if (pending && typeof pending.then === 'function' && !command.whileBusy) {
+                isAwaitingUserInput = false;
+                try {
+                    await pending;
+                } finally {
+                    isAwaitingUserInput = true;
+                }
+            } else {
+                await pending;
+            }
+        } catch (error) {
+            console.error(`❌ /${command.name} failed: ${error.message}`);
+        }
+    };
+
     // Main program loop
     rl.prompt();
     
     // Handle user input
     const handleUserInput = async (line) => {
         // console.log('[DEBUG] handleUserInput entered'); // Removed Debug
+        const userInput = line.trim();
+        const commandLine = parseCommandLine(userInput);
+        const command = commandLine && findCommand(commandLine.name);
+
         if (!isAwaitingUserInput) {
+            // Commands like /stop must work while a request is running
+            if (command && command.whileBusy) {
+                await runCommand(command, commandLine.args);
+                return;
+            }
             console.log("\n[INFO] Please wait until the current request is completed.");
             return;
         }
 
-        const userInput = line.trim();
-
-        if (userInput.toLowerCase() === 'exit') {
-            console.log('Goodbye! 👋');
-            rl.close();
-            process.exit(0);
+        if (commandLine) {
+            if (!command) {
+                console.log(`Unknown command /${commandLine.name}. Type /help to see the commands.`);
+            } else {
+                await runCommand(command, commandLine.args);
+            }
+            rl.prompt();
             return;
         }
 
-        if (userInput.toLowerCase() === 'stop') {
-            console.log('Aborting current request...');
-            controller.abort();
-            controller = new AbortController();
-            signal = controller.signal;
-            isAwaitingUserInput = true;
-            rl.resume();
+        // "# note" adds the note to the project memory file instead of sending it to Claude
+        if (userInput.startsWith('#')) {
+            const note = userInput.slice(1).trim();
+            if (!note) {
+                console.log('Type "# <note>" to add a note to the project memory file.');
+            } else {
+                try {
+                    const memoryPath = await appendMemoryNote(note);
+                    console.log(`Noted in ${memoryPath}, Claude follows it from the next prompt on.`);
+                } catch (error) {
+                    console.error(`❌ Could not save the note: ${error.message}`);
+                }
+            }
             rl.prompt();
             return;
         }
@@ -94,17 +342,29 @@ Avoid further actions or explanations unless specifically asked.`;
             // Add user message to history
             const userMessage = createUserMessage(userInput);
             messages.push(userMessage);
+            await persistSession(session, messages);
 
             // Generate response
             let assistantMessageContent = '';
             let lastEventType = '';
             let currentError = null;
             let finalContentProcessed = false;
+            let turnUsage = null;
             isAwaitingUserInput = false;
             // console.log('[DEBUG] isAwaitingUserInput set to false'); // Removed Debug
 
+            // Memory files are read again for every prompt, so edits apply without a restart
+            const memoryFiles = await loadMemoryFiles();
+            for (const file of memoryFiles.filter(file => file.reloaded)) {
+                console.log(`[Reloaded ${file.displayPath}]`);
+            }
+            const systemPrompt = buildSystemPrompt(commandContext.getSystemPrompt(), memoryFiles);
+
             // Execute the request
             for await (const event of query(messages, systemPrompt, signal)) {
+                // Save tool uses and results as soon as they are in the history
+                await persistSession(session, messages, event.type === 'compacted');
+
                 switch (event.type) {
                     case 'status':
                         // Show status updates, but filter out the generic "Sending request..."
@@ -122,31 +382,16 @@ Avoid further actions or explanations unless specifically asked.`;
                         }
                         break;
 
-                    case 'content_block_delta':
-                        // Output text response in real-time ONLY
-                        if (event.data?.delta?.type === 'text_delta') {
-                            const text = event.data.delta.text;
-                            // Only write to stdout, do not accumulate here
-                            process.stdout.write(text); 
-                            lastEventType = 'text';
-                        }
-                        break;
-
-                    case 'tool_executing':
+                    case 'tool_status':
                         if (lastEventType === 'text') {
                             console.log('\n'); // Add a blank line when switching from text to tool
                         }
-                        console.log(`\n[Tool being used] ${event.displayText}`);
+                        toolRenderer.handle(event);
                         lastEventType = 'tool';
                         break;
 
-                    case 'tool_result':
-                        console.log(`\n[Tool result] ${event.displayText}`);
-                        lastEventType = 'tool_result';
-                        break;
-
                     case 'error':
-                        console.error(`\n❌ Error: ${event.error.message || event.error}`);
+                        console.error(`\n❌ Error: ${serializeError(event.error).message}`);
                         // Store the error to check in turn_complete
                         currentError = event.error; 
                         break;
@@ -162,10 +407,31 @@ Avoid further actions or explanations unless specifically asked.`;
                         }
                         break;
 
+                    case 'usage':
+                        // Shown once the turn is complete
+                        turnUsage = event.turn;
+                        break;
+
+                    case 'limit_reached': {
+                        rl.resume();
+                        const answer = await new Promise(resolve => {
+                            rl.question(`\n\n⚠️  ${event.message} Continue? (yes/no) `, resolve);
+                        });
+                        if (['y', 'yes'].includes(answer.trim().toLowerCase())) {
+                            event.continue();
+                        }
+                        break;
+                    }
+
+                    case 'compacted':
+                        console.log(`\n[Compacted ${event.summarizedCount} older messages: ~${event.tokensBefore} → ~${event.tokensAfter} tokens]`);
+                        break;
+
                     case 'awaiting_permissions':
                         rl.pause();
                         break;
                     case 'permissions_resolved':
+                        // Comes before slow tools are done, so /stop and Ctrl+C work while they run
                         rl.resume();
                         break;
                     case 'turn_complete':
@@ -182,6 +448,11 @@ Avoid further actions or explanations unless specifically asked.`;
                             // No need to set finalContentProcessed=true here, as it's already false
                         }
                         
+                        if (turnUsage) {
+                            console.log(`\n\n[Turn: ${formatUsage(turnUsage)} | Session: $${usageTracker.session.costUsd.toFixed(4)}]`);
+                            turnUsage = null;
+                        }
+
                         // Reset state for next turn
                         assistantMessageContent = ''; // Reset for next round
                         currentError = null;
@@ -192,6 +463,8 @@ Avoid further actions or explanations unless specifically asked.`;
                 }
             }
 
+            await persistSession(session, messages);
+
             if (currentError && !controller.signal.aborted) {
                 console.log("\n[Round ended due to stream error]");
                 rl.resume();
@@ -207,6 +480,7 @@ Avoid further actions or explanations unless specifically asked.`;
                 rl.prompt();
             }
         } catch (error) {
+            await persistSession(session, messages);
             if (error.name === 'AbortError') {
                 console.log('\n[Request aborted by user]');
             } else {
@@ -223,11 +497,12 @@ Avoid further actions or explanations unless specifically asked.`;
     // Register the line handler without letting it terminate the main function
     rl.on('line', handleUserInput);
 
-    // Handle SIGINT (Ctrl+C)
+    // Handle SIGINT (Ctrl+C): cancels the running request, quits at the prompt
     rl.on('SIGINT', () => {
-        console.log('\nGoodbye! 👋');
-        rl.close();
-        process.exit(0);
+        if (!abortRequest()) {
+            console.log('');
+            commandContext.exit();
+        }
     });
 
     // Handle errors
@@ -241,6 +516,57 @@ Avoid further actions or explanations unless specifically asked.`;
     await new Promise(() => { /* This Promise never resolves */ });
 }
 
+/**
+ * Parses the command line and starts the requested mode.
+ */
+async function main() {
+    let options;
+    try {
+        options = parseCliArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(getCliUsage());
+        return;
+    }
+
+    // Defaults, config files, environment and command line, in this order
+    const settingWarnings = await loadSettings(options.settings);
+    for (const warning of settingWarnings) {
+        console.warn(`⚠️  ${warning}`);
+    }
+    usageTracker.setBudget(settings.max_budget_usd);
+
+    // Plugin and MCP tools must be registered before the first request
+    process.on('exit', closeMcpServers);
+    const mcpReport = await loadMcpServers();
+    pluginReport = await loadPlugins();
+    pluginReport.loaded.push(...mcpReport.loaded);
+    pluginReport.errors.push(...mcpReport.errors);
+    for (const { source, message } of pluginReport.errors) {
+        console.warn(`⚠️  Could not load tools from ${source}: ${message}`);
+    }
+
+    if (options.print) {
+        // Set the exit code instead of exiting, so stdout is flushed completely
+        process.exitCode = await runPrintMode(options);
+        // Running servers would keep the process alive
+        closeMcpServers();
+        return;
+    }
+
+    // With permission_mode "deny" the REPL handles permissions like --print mode
+    setPermissionMode({
+        interactive: settings.permission_mode === 'ask',
+        allowedTools: settings.allowed_tools,
+        noPromptReason: 'permission_mode is "deny"',
+    });
+    await runRepl(options);
+}
+
 // Start the program
 main().catch(err => {
     console.error(`\n❌ Unhandled error: ${err.message}`);
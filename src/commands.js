@@ -0,0 +1,516 @@
+const { availableTools, getToolSource } = require('./tools.js');
+const { getModel, setModel } = require('./services/providers.js');
+const { compactMessages } = require('./compact.js');
+const { listSessions } = require('./utils/sessions.js');
+const { usageTracker, formatUsage, getModelPrices } = require('./utils/usage.js');
+const { getApprovedPermissions, revokePermission } = require('./utils/permissions.js');
+const { POLICY_FILE } = require('./utils/policy.js');
+const { formatToolUseForDisplay } = require('./utils/messages.js');
+const { loadMemoryFiles } = require('./memory.js');
+const {
+    SETTINGS_SCHEMA,
+    USER_CONFIG_FILE,
+    PROJECT_CONFIG_FILE,
+    settings,
+    getSettingSource,
+    getSettingWarnings,
+} = require('./settings.js');
+
+// Commands of the REPL in the order shown by /help, and where each one comes from
+const availableCommands = [];
+const commandSources = new Map();
+
+// Maximum length of a message preview in /history
+const HISTORY_PREVIEW_LENGTH = 80;
+
+/**
+ * Shortens text to one line for previews.
+ * @param {string} text - The text.
+ * @param {number} maxLength - The maximum length.
+ * @returns {string} - The text without line breaks, cut with "..." if too long.
+ */
+function toPreview(text, maxLength = HISTORY_PREVIEW_LENGTH) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > maxLength ? `${line.slice(0, maxLength - 3)}...` : line;
+}
+
+/**
+ * Prints the token usage and cost of the running session.
+ */
+function showCost() {
+    const { session, budgetUsd } = usageTracker;
+    console.log(`\nSession usage (${session.apiCalls} API calls since start):`);
+    console.log(`  ${formatUsage(session)}`);
+    if (budgetUsd !== null && budgetUsd !== undefined) {
+        console.log(`  Budget: $${budgetUsd} (${Math.min(100, (session.costUsd / budgetUsd) * 100).toFixed(1)}% used)`);
+    }
+    console.log('');
+}
+
+/**
+ * Prints the available tools with their origin and the plugins that failed to load.
+ * @param {object} pluginReport - { loaded, errors } from loading the plugin and MCP tools.
+ */
+function showTools(pluginReport) {
+    const nameWidth = Math.max(...availableTools.map(tool => tool.name.length));
+    console.log('\nAvailable tools:');
+    for (const tool of availableTools) {
+        // Plugins may decide per input; without one the answer can fail
+        let access;
+        try {
+            access = tool.isReadOnly({}) ? 'read-only' : 'write';
+        } catch (error) {
+            access = 'varies';
+        }
+        console.log(`  ${tool.name.padEnd(nameWidth)}  ${access.padEnd(9)}  ${getToolSource(tool.name)}`);
+    }
+
+    if (pluginReport.errors.length > 0) {
+        console.log('\nTools and commands that could not be loaded:');
+        for (const { source, message } of pluginReport.errors) {
+            console.log(`  ${source}: ${message}`);
+        }
+    }
+    console.log('');
+}
+
+/**
+ * Prints the saved sessions of the workspace.
+ */
+async function showSessions() {
+    const sessions = await listSessions();
+    if (sessions.length === 0) {
+        console.log('No saved sessions yet.');
+        return;
+    }
+
+    console.log('\nSaved sessions (newest first):');
+    for (const session of sessions) {
+        const timestamp = new Date(session.updatedAt).toLocaleString();
+        const preview = toPreview(session.firstPrompt, 60);
+        console.log(`  ${session.id}  ${timestamp}  (${session.messageCount} messages)  ${preview}`);
+    }
+    console.log('\nResume one with: node index.js --resume <id>\n');
+}
+
+/**
+ * Prints the conversation history, one line per message.
+ * @param {Array<object>} messages - The conversation history.
+ * @param {number|null} count - Shows only the last messages if set.
+ */
+function showHistory(messages, count = null) {
+    if (messages.length === 0) {
+        console.log('The conversation is empty.');
+        return;
+    }
+
+    // Tool results only carry the id of their tool call
+    const toolNames = new Map();
+    const lines = messages.map((message, index) => {
+        const blocks = typeof message.content === 'string'
+            ? [{ type: 'text', text: message.content }]
+            : message.content;
+        const parts = blocks.map(block => {
+            switch (block.type) {
+                case 'text':
+                    return toPreview(block.text);
+                case 'tool_use':
+                    toolNames.set(block.id, block.name);
+                    return `→ ${formatToolUseForDisplay(block)}`;
+                case 'tool_result':
+                    return `← ${toolNames.get(block.tool_use_id) || 'tool'} result${block.is_error ? ' (error)' : ''}`;
+                default:
+                    return `[${block.type}]`;
+            }
+        });
+        return `  ${String(index + 1).padStart(3)}  ${message.role.padEnd(9)}  ${parts.join('  ')}`;
+    });
+
+    const shown = count ? lines.slice(-count) : lines;
+    console.log(`\nConversation (${messages.length} messages${shown.length < lines.length ? `, last ${shown.length} shown` : ''}):`);
+    console.log(shown.join('\n'));
+    console.log('');
+}
+
+/**
+ * Prints the effective settings and where each value comes from.
+ */
+function showConfig() {
+    const keys = Object.keys(SETTINGS_SCHEMA.properties);
+    const values = keys.map(key => JSON.stringify(settings[key]));
+    const keyWidth = Math.max(...keys.map(key => key.length));
+    const valueWidth = Math.max(...values.map(value => value.length));
+
+    console.log('\nSettings:');
+    keys.forEach((key, index) => {
+        console.log(`  ${key.padEnd(keyWidth)}  ${values[index].padEnd(valueWidth)}  ${getSettingSource(key)}`);
+    });
+    console.log(`\nSources, later ones win: defaults, ${USER_CONFIG_FILE}, ${PROJECT_CONFIG_FILE}, AGENT_<NAME> environment variables, command line.`);
+
+    const warnings = getSettingWarnings();
+    if (warnings.length > 0) {
+        console.log('\nIgnored settings:');
+        for (const warning of warnings) {
+            console.log(`  ${warning}`);
+        }
+    }
+    console.log('');
+}
+
+/**
+ * Prints the permissions approved in this session or revokes them.
+ * @param {string} args - '' to list, 'revoke <number|key|all>' to revoke.
+ */
+function managePermissions(args) {
+    const approved = getApprovedPermissions();
+
+    if (!args) {
+        if (approved.length === 0) {
+            console.log('No permissions approved in this session.');
+        } else {
+            console.log('\nPermissions approved in this session:');
+            approved.forEach((key, index) => console.log(`  ${index + 1}. ${key}`));
+            console.log('\nRevoke one with: /permissions revoke <number|key|all>');
+        }
+        console.log(`Rules saved with 'always' are kept in ${POLICY_FILE}.\n`);
+        return;
+    }
+
+    const match = args.match(/^revoke\s+(.+)$/);
+    if (!match) {
+        console.log('Usage: /permissions [revoke <number|key|all>]');
+        return;
+    }
+
+    const target = match[1].trim();
+    let keys;
+    if (target === 'all') {
+        keys = approved;
+    } else if (/^\d+$/.test(target)) {
+        keys = approved[Number(target) - 1] ? [approved[Number(target) - 1]] : [];
+    } else {
+        keys = approved.includes(target) ? [target] : [];
+    }
+
+    if (keys.length === 0) {
+        console.log(target === 'all' ? 'No permissions to revoke.' : `No approved permission "${target}".`);
+        return;
+    }
+    for (const key of keys) {
+        revokePermission(key);
+        console.log(`Revoked "${key}", the tool asks again next time.`);
+    }
+}
+
+/**
+ * Finds a command by its name or one of its aliases.
+ * @param {string} name - The name without the leading slash.
+ * @returns {object|undefined} - The command or undefined if not found.
+ */
+function findCommand(name) {
+    const lowerName = name.toLowerCase();
+    return availableCommands.find(command => command.name === lowerName || (command.aliases || []).includes(lowerName));
+}
+
+/**
+ * Returns where a command was loaded from.
+ * @param {string} name - The name of the command.
+ * @returns {string|undefined} - 'built-in', the plugin path or package name.
+ */
+function getCommandSource(name) {
+    return commandSources.get(name);
+}
+
+/**
+ * Checks that an object has the shape of a command like the built-in ones.
+ * @param {any} command - The object exported by a plugin.
+ * @returns {Array<string>} - The problems found, empty if the command is valid.
+ */
+function validateCommandShape(command) {
+    if (!command || typeof command !== 'object') {
+        return ['it is not an object'];
+    }
+
+    const problems = [];
+    if (typeof command.name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(command.name)) {
+        problems.push('"name" must be a string of lowercase letters, digits or "-" without the slash');
+    }
+    if (typeof command.description !== 'string' || !command.description.trim()) {
+        problems.push('"description" must be a non-empty string');
+    }
+    if (typeof command.run !== 'function') {
+        problems.push('"run" must be a function');
+    }
+    if (command.aliases !== undefined && (!Array.isArray(command.aliases) || !command.aliases.every(alias => typeof alias === 'string'))) {
+        problems.push('"aliases" must be an array of strings');
+    }
+    if (command.usage !== undefined && typeof command.usage !== 'string') {
+        problems.push('"usage" must be a string');
+    }
+    if (command.complete !== undefined && typeof command.complete !== 'function') {
+        problems.push('"complete" must be a function');
+    }
+    return problems;
+}
+
+/**
+ * Adds a command to the REPL. Names and aliases must be unique: a command never
+ * replaces a built-in command or a command that was registered before.
+ * A command is { name, description, usage?, aliases?, whileBusy?, complete?(args), run(args, context) }.
+ * @param {object} command - The command object.
+ * @param {string} source - Where the command comes from, e.g. the plugin path.
+ * @throws {Error} If the shape is invalid or the name is already taken.
+ */
+function registerCommand(command, source) {
+    const problems = validateCommandShape(command);
+    if (problems.length > 0) {
+        throw new Error(`Invalid command${command && typeof command.name === 'string' ? ` "/${command.name}"` : ''}: ${problems.join(', ')}`);
+    }
+
+    for (const name of [command.name, ...(command.aliases || [])]) {
+        const existing = findCommand(name);
+        if (existing) {
+            throw new Error(`Command "/${name}" is already provided by ${commandSources.get(existing.name)}`);
+        }
+    }
+
+    availableCommands.push(command);
+    commandSources.set(command.name, source);
+}
+
+/**
+ * Splits a REPL input into command name and arguments.
+ * Only "/name" followed by whitespace or the end counts, so a prompt like "/etc/hosts?" still goes to Claude.
+ * @param {string} line - The trimmed input.
+ * @returns {object|null} - { name, args } or null if the input is not a command.
+ */
+function parseCommandLine(line) {
+    const match = line.match(/^\/([a-zA-Z][\w-]*)(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+    return { name: match[1], args: (match[2] || '').trim() };
+}
+
+/**
+ * Completes command names and arguments for readline's tab completion.
+ * @param {string} line - The input up to the cursor.
+ * @returns {Array} - [completions, the part of the line they complete].
+ */
+function completeCommandLine(line) {
+    if (/^\/[\w-]*$/.test(line)) {
+        const names = availableCommands
+            .map(command => `/${command.name}`)
+            .filter(name => name.startsWith(line));
+        return [names, line];
+    }
+
+    const match = line.match(/^\/([\w-]+)\s+(.*)$/);
+    const command = match && findCommand(match[1]);
+    if (!command || !command.complete) {
+        return [[], line];
+    }
+
+    const args = match[2];
+    try {
+        return [command.complete(args).filter(candidate => candidate.startsWith(args)), args];
+    } catch (error) {
+        // A broken plugin must not break the input line
+        return [[], line];
+    }
+}
+
+// Built-in commands. run() gets the arguments after the name and the REPL context:
+// { messages, session, signal, toolRenderer, pluginReport, getSystemPrompt(), setSystemPrompt(text),
+//   isSystemPromptOverridden(), startNewSession(), saveSession(rewrite), abortRequest(), exit() }
+const builtInCommands = [
+    {
+        name: 'help',
+        usage: '[command]',
+        description: 'Show the commands or the usage of one command',
+        complete: () => availableCommands.map(command => command.name),
+        run(args) {
+            if (args) {
+                const command = findCommand(args.replace(/^\//, ''));
+                if (!command) {
+                    console.log(`Unknown command "${args}".`);
+                    return;
+                }
+                const aliases = (command.aliases || []).map(alias => `/${alias}`).join(', ');
+                console.log(`\n/${command.name}${command.usage ? ` ${command.usage}` : ''}`);
+                console.log(`  ${command.description}${aliases ? ` (also ${aliases})` : ''}\n`);
+                return;
+            }
+
+            const signatures = availableCommands.map(command => `/${command.name}${command.usage ? ` ${command.usage}` : ''}`);
+            const width = Math.max(...signatures.map(signature => signature.length));
+            console.log('\nCommands:');
+            availableCommands.forEach((command, index) => {
+                const source = commandSources.get(command.name);
+                console.log(`  ${signatures[index].padEnd(width)}  ${command.description}${source !== 'built-in' ? ` [${source}]` : ''}`);
+            });
+            console.log('\nTab completes commands. Ctrl+C cancels the running request.\n');
+        },
+    },
+    {
+        name: 'clear',
+        description: 'Start a new conversation; the current one stays in its session',
+        run(args, context) {
+            const previousSession = context.session;
+            const hadMessages = context.messages.length > 0;
+            context.messages.length = 0;
+            context.startNewSession();
+            console.log(`Conversation cleared. New session ${context.session.id}.`);
+            if (hadMessages) {
+                console.log(`Resume the previous one with: node index.js --resume ${previousSession.id}`);
+            }
+        },
+    },
+    {
+        name: 'history',
+        usage: '[count]',
+        description: 'Show the messages of the conversation',
+        run(args, context) {
+            if (args && !/^\d+$/.test(args)) {
+                console.log('Usage: /history [count]');
+                return;
+            }
+            showHistory(context.messages, args ? Number(args) : null);
+        },
+    },
+    {
+        name: 'model',
+        usage: '[model]',
+        description: 'Show or switch the Claude model',
+        run(args) {
+            if (!args) {
+                console.log(`Model: ${getModel()}`);
+                return;
+            }
+            setModel(args);
+            console.log(`Switched to ${args} for the following requests.`);
+            if (!getModelPrices(args)) {
+                console.log(`⚠️  There is no price for ${args} in MODEL_PRICES, so its cost is not counted.`);
+            }
+        },
+    },
+    {
+        name: 'system',
+        usage: '[prompt|reset]',
+        description: 'Show or override the system prompt for this session',
+        complete: () => ['reset'],
+        async run(args, context) {
+            if (!args) {
+                console.log(`\nSystem prompt${context.isSystemPromptOverridden() ? ' (overridden)' : ''}:\n${context.getSystemPrompt()}\n`);
+                const memoryFiles = await loadMemoryFiles();
+                if (memoryFiles.length > 0) {
+                    console.log(`Followed by the instructions from ${memoryFiles.map(file => file.displayPath).join(' and ')}.\n`);
+                }
+                return;
+            }
+            if (args === 'reset') {
+                context.setSystemPrompt(null);
+                console.log('System prompt reset to the default.');
+                return;
+            }
+            context.setSystemPrompt(args);
+            console.log('System prompt overridden for this session. Memory files are still added.');
+        },
+    },
+    {
+        name: 'config',
+        description: 'Show the effective settings and where they come from',
+        run() {
+            showConfig();
+        },
+    },
+    {
+        name: 'tools',
+        description: 'List the available tools and where they come from',
+        run(args, context) {
+            showTools(context.pluginReport);
+        },
+    },
+    {
+        name: 'permissions',
+        usage: '[revoke <number|key|all>]',
+        description: 'List or revoke the permissions approved in this session',
+        complete: () => ['revoke ', 'revoke all', ...getApprovedPermissions().map(key => `revoke ${key}`)],
+        run(args) {
+            managePermissions(args);
+        },
+    },
+    {
+        name: 'compact',
+        description: 'Summarize older messages to free up context',
+        async run(args, context) {
+            try {
+                console.log('Compacting conversation...');
+                const compaction = await compactMessages(context.messages, context.signal);
+                if (compaction) {
+                    await context.saveSession(true);
+                    console.log(`[Compacted ${compaction.summarizedCount} older messages: ~${compaction.tokensBefore} → ~${compaction.tokensAfter} tokens]`);
+                } else {
+                    console.log('Nothing to compact yet.');
+                }
+            } catch (error) {
+                console.error(`❌ Compaction failed: ${error.message}`);
+            }
+        },
+    },
+    {
+        name: 'cost',
+        description: 'Show the token usage and cost of this session',
+        run() {
+            showCost();
+        },
+    },
+    {
+        name: 'sessions',
+        description: 'List the saved sessions of this workspace',
+        async run() {
+            await showSessions();
+        },
+    },
+    {
+        name: 'expand',
+        usage: '[n]',
+        description: 'Show a collapsed tool result completely (the latest one without n)',
+        run(args, context) {
+            if (!context.toolRenderer.expand(args ? Number(args) : null)) {
+                console.log(args ? `No collapsed result ${args}.` : 'No collapsed result to show.');
+            }
+        },
+    },
+    {
+        name: 'stop',
+        description: 'Cancel the running request (same as Ctrl+C)',
+        whileBusy: true,
+        run(args, context) {
+            if (!context.abortRequest()) {
+                console.log('No request is running.');
+            }
+        },
+    },
+    {
+        name: 'exit',
+        aliases: ['quit'],
+        description: 'Quit the agent',
+        whileBusy: true,
+        run(args, context) {
+            context.exit();
+        },
+    },
+];
+
+for (const command of builtInCommands) {
+    registerCommand(command, 'built-in');
+}
+
+module.exports = {
+    availableCommands,
+    findCommand,
+    getCommandSource,
+    validateCommandShape,
+    registerCommand,
+    parseCommandLine,
+    completeCommandLine,
+};
@@ -0,0 +1,224 @@
+const { streamMessage, getModel } = require('./services/providers.js');
+const { usageTracker, applyUsageEvent } = require('./utils/usage.js');
+const {
+    CONTEXT_WINDOW_TOKENS,
+    AUTO_COMPACT_RATIO,
+    COMPACT_KEEP_RECENT_TOKENS,
+} = require('./config.js');
+
+// Rough ratio for English text and code, good enough to decide when to compact
+const CHARS_PER_TOKEN = 4;
+
+// Images are not sent as text; a typical screenshot costs about this many tokens
+const IMAGE_TOKEN_ESTIMATE = 1600;
+
+// Tool results are shortened in the transcript sent for summarization
+const MAX_TOOL_RESULT_CHARS_IN_SUMMARY = 2000;
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize conversations between a user and an AI assistant that uses tools on a local workspace.
+Write a concise summary that allows the assistant to continue the work without the original messages.
+Keep: the user's goals and instructions, decisions that were made, files that were read or changed (with paths),
+important facts learned from tool results, open tasks and problems. Leave out greetings and repeated content.`;
+
+/**
+ * Estimates the number of tokens of a value (message, system prompt, tool definitions).
+ * @param {any} value - The value to estimate.
+ * @returns {number} - The estimated number of tokens.
+ */
+function estimateTokens(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'string') return Math.ceil(value.length / CHARS_PER_TOKEN);
+
+    // The base64 data of images would be counted as millions of tokens
+    let imageCount = 0;
+    const text = JSON.stringify(value, (key, item) => {
+        if (item && item.type === 'image') {
+            imageCount++;
+            return undefined;
+        }
+        return item;
+    }) || '';
+    return Math.ceil(text.length / CHARS_PER_TOKEN) + imageCount * IMAGE_TOKEN_ESTIMATE;
+}
+
+/**
+ * Estimates the tokens of a complete request.
+ * @param {Array<object>} messages - The conversation history.
+ * @param {string|null} systemPrompt - The system prompt.
+ * @param {Array<object>|null} tools - The tool definitions.
+ * @returns {number} - The estimated number of input tokens.
+ */
+function estimateRequestTokens(messages, systemPrompt = null, tools = null) {
+    return messages.reduce((sum, message) => sum + estimateTokens(message), 0)
+        + estimateTokens(systemPrompt)
+        + estimateTokens(tools);
+}
+
+/**
+ * Checks if the conversation has grown close enough to the context window to compact it.
+ * @param {Array<object>} messages - The conversation history.
+ * @param {string|null} systemPrompt - The system prompt.
+ * @param {Array<object>|null} tools - The tool definitions.
+ * @returns {boolean} - True if compaction should run before the next request.
+ */
+function shouldCompact(messages, systemPrompt = null, tools = null) {
+    return estimateRequestTokens(messages, systemPrompt, tools) > CONTEXT_WINDOW_TOKENS * AUTO_COMPACT_RATIO;
+}
+
+/**
+ * Returns the blocks of a message with the given type.
+ * @param {object} message - The message.
+ * @param {string} type - The block type, e.g. 'tool_use'.
+ * @returns {Array<object>} - The matching blocks.
+ */
+function getBlocks(message, type) {
+    return (Array.isArray(message.content) ? message.content : []).filter(block => block && block.type === type);
+}
+
+/**
+ * Finds the indices where the history can be cut without separating a tool_use from its tool_result.
+ * @param {Array<object>} messages - The conversation history.
+ * @returns {Array<number>} - Indices b (1..length-1) so that messages[b..] can be kept on their own.
+ */
+function findSafeCutIndices(messages) {
+    const openToolUses = new Set();
+    const cutIndices = [];
+
+    for (let i = 0; i < messages.length; i++) {
+        // Cutting before message i is safe if every earlier tool_use already has its result
+        if (i > 0 && openToolUses.size === 0) {
+            cutIndices.push(i);
+        }
+        getBlocks(messages[i], 'tool_use').forEach(block => openToolUses.add(block.id));
+        getBlocks(messages[i], 'tool_result').forEach(block => openToolUses.delete(block.tool_use_id));
+    }
+
+    return cutIndices;
+}
+
+/**
+ * Renders messages as plain text for the summary request. Using text instead of the original
+ * blocks means the summary request doesn't need tool definitions.
+ * @param {Array<object>} messages - The messages to summarize.
+ * @returns {string} - The transcript.
+ */
+function renderTranscript(messages) {
+    return messages.map(message => {
+        const role = message.role === 'user' ? 'User' : 'Assistant';
+        if (typeof message.content === 'string') {
+            return `${role}: ${message.content}`;
+        }
+
+        const parts = (message.content || []).map(block => {
+            switch (block.type) {
+                case 'text':
+                    return block.text;
+                case 'tool_use':
+                    return `[Tool call ${block.name}(${JSON.stringify(block.input)})]`;
+                case 'tool_result': {
+                    const content = typeof block.content === 'string'
+                        ? block.content
+                        : block.content.map(part => (part.type === 'text' ? part.text : `[${part.type}]`)).join('\n');
+                    const shortened = content.length > MAX_TOOL_RESULT_CHARS_IN_SUMMARY
+                        ? `${content.slice(0, MAX_TOOL_RESULT_CHARS_IN_SUMMARY)}... [${content.length - MAX_TOOL_RESULT_CHARS_IN_SUMMARY} characters omitted]`
+                        : content;
+                    return `[Tool result${block.is_error ? ' (error)' : ''}: ${shortened}]`;
+                }
+                default:
+                    return `[${block.type}]`;
+            }
+        });
+        return `${role}: ${parts.join('\n')}`;
+    }).join('\n\n');
+}
+
+/**
+ * Asks Claude for a summary of the given messages.
+ * @param {Array<object>} messages - The messages to summarize.
+ * @param {AbortSignal|null} abortSignal - A signal to abort the request.
+ * @returns {Promise<string>} - The summary.
+ */
+async function summarizeMessages(messages, abortSignal = null) {
+    // Keep the summary request itself well inside the context window
+    const maxTranscriptChars = Math.floor(CONTEXT_WINDOW_TOKENS * 0.6 * CHARS_PER_TOKEN);
+    let transcript = renderTranscript(messages);
+    if (transcript.length > maxTranscriptChars) {
+        transcript = `[Beginning omitted]\n${transcript.slice(transcript.length - maxTranscriptChars)}`;
+    }
+
+    const request = [{
+        role: 'user',
+        content: `Summarize this conversation so far:\n\n<conversation>\n${transcript}\n</conversation>`
+    }];
+
+    let summary = '';
+    const callUsage = {};
+    for await (const event of streamMessage(request, null, SUMMARY_SYSTEM_PROMPT, abortSignal)) {
+        applyUsageEvent(event, callUsage);
+        if (event.type === 'error') {
+            throw new Error(`Summary request failed: ${event.error?.message || 'unknown stream error'}`);
+        }
+        if (event.type === 'text_delta') {
+            summary += event.text;
+        }
+    }
+
+    // The summary costs tokens as well
+    if (callUsage.inputTokens !== undefined) {
+        usageTracker.recordApiCall(callUsage, getModel());
+    }
+
+    if (!summary.trim()) {
+        throw new Error(abortSignal?.aborted ? 'Compaction was aborted.' : 'Compaction failed: the summary is empty.');
+    }
+    return summary.trim();
+}
+
+/**
+ * Replaces older messages with a summary. Recent messages are kept unchanged, and the
+ * cut never separates a tool_use from its tool_result.
+ * @param {Array<object>} messages - The conversation history, modified in place.
+ * @param {AbortSignal|null} abortSignal - A signal to abort the summary request.
+ * @returns {Promise<object|null>} - { summarizedCount, tokensBefore, tokensAfter } or null if nothing can be compacted.
+ */
+async function compactMessages(messages, abortSignal = null) {
+    const cutIndices = findSafeCutIndices(messages);
+    if (cutIndices.length === 0) {
+        return null;
+    }
+
+    // Keep as many recent messages as fit into the budget, but always summarize something
+    const tokensFrom = new Array(messages.length + 1).fill(0);
+    for (let i = messages.length - 1; i >= 0; i--) {
+        tokensFrom[i] = tokensFrom[i + 1] + estimateTokens(messages[i]);
+    }
+    const cutIndex = cutIndices.find(index => tokensFrom[index] <= COMPACT_KEEP_RECENT_TOKENS)
+        || cutIndices[cutIndices.length - 1];
+
+    const tokensBefore = tokensFrom[0];
+    const summary = await summarizeMessages(messages.slice(0, cutIndex), abortSignal);
+
+    const replacement = [{
+        role: 'user',
+        content: `[Summary of the earlier conversation, which was compacted to save context]\n\n${summary}`
+    }];
+    // Keep user and assistant messages alternating
+    if (messages[cutIndex].role === 'user') {
+        replacement.push({ role: 'assistant', content: 'Understood. I will continue based on this summary.' });
+    }
+
+    messages.splice(0, cutIndex, ...replacement);
+
+    return {
+        summarizedCount: cutIndex,
+        tokensBefore,
+        tokensAfter: messages.reduce((sum, message) => sum + estimateTokens(message), 0),
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    estimateRequestTokens,
+    shouldCompact,
+    compactMessages,
+};
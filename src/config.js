@@ -1,21 +1,164 @@
+// Built-in defaults. Settings like the model, limits and allowed tools can be overridden
+// by config files, environment variables and command line options (see src/settings.js).
+
 // TODO: Enter your Claude API key here
 const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY || 'YOUR_API_KEY';
 
-// TODO: Adjust the Claude API URL if needed
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
+// TODO: Adjust the Claude API base URL if needed (requests go to <base URL>/v1/messages)
+const CLAUDE_API_BASE_URL = 'https://api.anthropic.com';
 
 const CLAUDE_API_VERSION = '2023-06-01';
 
+// The LLM backend: 'anthropic' (Claude Messages API) or 'openai' (any OpenAI-compatible chat completions API)
+const LLM_PROVIDER = 'anthropic';
+
+// Key for the OpenAI provider; servers without authentication (e.g. local ones) need none
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+
+// Default base URL of the OpenAI provider (requests go to <base URL>/chat/completions)
+const OPENAI_API_BASE_URL = 'https://api.openai.com/v1';
+
+// The model of the OpenAI provider unless the 'model' setting names one
+const OPENAI_MODEL = 'gpt-4o-mini';
+
 // Maximum number of tokens to be generated in the response
 const MAX_TOKENS = 4096;
 
-// The Claude model to use
+// Sampling temperature between 0 and 1 (null = the API default)
+const TEMPERATURE = null;
+
+// The Claude model of the Anthropic provider unless the 'model' setting names one
 const CLAUDE_MODEL = 'claude-3-5-sonnet-20240620'; // Or another available model
 
+// Prices in USD per million tokens. Keys match model ids by prefix.
+const MODEL_PRICES = {
+    'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+    'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+    'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+    'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+};
+
+// Optional spending limit per session in USD (null = no limit). Can be overridden with --max-budget.
+const MAX_BUDGET_USD = null;
+
+// Handling of tools that need permission: 'ask' prompts the user, 'deny' refuses everything not
+// allowed by --allow-tools or the policy file without asking (--print mode always behaves like 'deny')
+const PERMISSION_MODE = 'ask';
+
+// Maximum number of attempts for an API request (1 = no retries)
+const API_MAX_ATTEMPTS = 5;
+
+// Exponential backoff between attempts, unless the API sends a retry-after header
+const API_RETRY_BASE_DELAY_MS = 1000;
+const API_RETRY_MAX_DELAY_MS = 30000;
+
+// Maximum number of read-only tools that may run in parallel within one turn
+const MAX_TOOL_CONCURRENCY = 5;
+
+// Handling of repeated read-only tool calls with the same parameters within a query:
+// 'off' runs them again, 'cached' returns the earlier result, 'strict' only answers that the call was already run.
+// Write tools are never deduplicated and every write starts over, so reads after it see the new state.
+const TOOL_DEDUPLICATION = 'cached';
+
+// Default and maximum timeout for shell commands run by the runCommand tool
+const COMMAND_TIMEOUT_MS = 120000; // 2 minutes
+const MAX_COMMAND_TIMEOUT_MS = 600000; // 10 minutes
+
+// Maximum number of characters captured per output stream (stdout/stderr) of a command
+const MAX_COMMAND_OUTPUT_LENGTH = 30000;
+
+// viewFile returns at most this many lines and bytes per call; the model pages through larger files with offset
+const MAX_VIEW_LINES = 2000;
+const MAX_VIEW_BYTES = 100 * 1024; // 100 KB
+
+// Larger files are not loaded completely by viewFile; only the lines up to the requested range are read
+const MAX_VIEW_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Largest image viewFile sends to Claude (5 MB once base64 encoded)
+const MAX_IMAGE_BYTES = 3.75 * 1024 * 1024;
+
+// Maximum number of matches (searchFiles) or paths (findFiles) returned per call
+const MAX_SEARCH_RESULTS = 200;
+
+// Larger files are skipped by searchFiles
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024; // 1 MB
+
+// Limits per query (one user prompt). When one is reached, the user decides whether to continue.
+const MAX_TURNS_PER_QUERY = 25; // Requests to Claude
+const MAX_TOOL_CALLS_PER_QUERY = 100;
+const MAX_QUERY_DURATION_MS = 600000; // 10 minutes
+
+// Plugin tools: every *.js file in this workspace directory and every listed npm package
+// exports a tool (or an array of tools) with the same shape as the built-in tools
+const PLUGIN_TOOLS_DIR = '.agent/tools';
+const PLUGIN_PACKAGES = [];
+
+// MCP servers started over stdio; their tools are available as "mcp__<server>__<tool>".
+// Example: { github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'], env: { GITHUB_TOKEN: '...' } } }
+const MCP_SERVERS = {};
+
+// Time a server has to start and answer initialize and tools/list
+const MCP_STARTUP_TIMEOUT_MS = 30000;
+
+// Time a tool call may take before it fails; a server can set its own with "callTimeoutMs"
+const MCP_CALL_TIMEOUT_MS = 300000; // 5 minutes
+
+// Instructions added to the system prompt: a file in the workspace root and one for all
+// workspaces of the user ("~" is the home directory). Edits apply from the next request on.
+const PROJECT_MEMORY_FILE = 'AGENT.md';
+const USER_MEMORY_FILE = '~/.agent/AGENT.md';
+
+// Size of the model's context window in tokens
+const CONTEXT_WINDOW_TOKENS = 200000;
+
+// Older messages are summarized once the estimated request size exceeds this share of the context window
+const AUTO_COMPACT_RATIO = 0.75;
+
+// Number of tokens of recent messages that are kept unchanged when compacting
+const COMPACT_KEEP_RECENT_TOKENS = 30000;
+
 module.exports = {
     CLAUDE_API_KEY,
-    CLAUDE_API_URL,
+    CLAUDE_API_BASE_URL,
     CLAUDE_API_VERSION,
+    LLM_PROVIDER,
+    OPENAI_API_KEY,
+    OPENAI_API_BASE_URL,
+    OPENAI_MODEL,
     MAX_TOKENS,
+    TEMPERATURE,
     CLAUDE_MODEL,
+    MODEL_PRICES,
+    MAX_BUDGET_USD,
+    PERMISSION_MODE,
+    API_MAX_ATTEMPTS,
+    API_RETRY_BASE_DELAY_MS,
+    API_RETRY_MAX_DELAY_MS,
+    MAX_TOOL_CONCURRENCY,
+    TOOL_DEDUPLICATION,
+    COMMAND_TIMEOUT_MS,
+    MAX_COMMAND_TIMEOUT_MS,
+    MAX_COMMAND_OUTPUT_LENGTH,
+    MAX_VIEW_LINES,
+    MAX_VIEW_BYTES,
+    MAX_VIEW_FILE_SIZE,
+    MAX_IMAGE_BYTES,
+    MAX_SEARCH_RESULTS,
+    MAX_SEARCH_FILE_SIZE,
+    MAX_TURNS_PER_QUERY,
+    MAX_TOOL_CALLS_PER_QUERY,
+    MAX_QUERY_DURATION_MS,
+    PLUGIN_TOOLS_DIR,
+    PLUGIN_PACKAGES,
+    MCP_SERVERS,
+    MCP_STARTUP_TIMEOUT_MS,
+    MCP_CALL_TIMEOUT_MS,
+    PROJECT_MEMORY_FILE,
+    USER_MEMORY_FILE,
+    CONTEXT_WINDOW_TOKENS,
+    AUTO_COMPACT_RATIO,
+    COMPACT_KEEP_RECENT_TOKENS,
 };
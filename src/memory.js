@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PROJECT_MEMORY_FILE, USER_MEMORY_FILE } = require('./config.js');
+
+// Content of the memory files by absolute path, reread only when the modification time changes
+const memoryCache = new Map(); // filePath -> { mtimeMs, content }
+
+/**
+ * Resolves the path of a memory file; "~" stands for the home directory.
+ * @param {string} configuredPath - The path from the config.
+ * @returns {string} - The absolute path.
+ */
+function resolveMemoryPath(configuredPath) {
+    if (configuredPath === '~' || configuredPath.startsWith('~/')) {
+        return path.join(os.homedir(), configuredPath.slice(1));
+    }
+    return path.resolve(process.cwd(), configuredPath);
+}
+
+/**
+ * Reads one memory file, using the cached content if the file is unchanged.
+ * @param {string} scope - 'user' or 'project'.
+ * @param {string} configuredPath - The path from the config, also used for display.
+ * @returns {Promise<object|null>} - { scope, displayPath, content, reloaded } or null if the file doesn't exist or is empty.
+ */
+async function readMemoryFile(scope, configuredPath) {
+    const filePath = resolveMemoryPath(configuredPath);
+    const cached = memoryCache.get(filePath);
+
+    let content;
+    let reloaded = false;
+    try {
+        const stats = await fs.stat(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            content = cached.content;
+        } else {
+            content = await fs.readFile(filePath, 'utf-8');
+            memoryCache.set(filePath, { mtimeMs: stats.mtimeMs, content });
+            reloaded = Boolean(cached);
+        }
+    } catch (error) {
+        memoryCache.delete(filePath);
+        if (error.code !== 'ENOENT') {
+            // An unreadable file must not stop the conversation
+            console.warn(`\n[Warning: Could not read ${configuredPath}: ${error.message}]`);
+        }
+        return null;
+    }
+
+    if (!content.trim()) return null;
+    return { scope, displayPath: configuredPath, content: content.trim(), reloaded };
+}
+
+/**
+ * Loads the memory files: the user file (USER_MEMORY_FILE) and the project file (PROJECT_MEMORY_FILE).
+ * Call it before every request, so edits are picked up without a restart.
+ * @returns {Promise<Array<object>>} - The existing files in the order user, project: { scope, displayPath, content, reloaded }.
+ *   reloaded is true if the file changed since the last call.
+ */
+async function loadMemoryFiles() {
+    const files = [
+        await readMemoryFile('user', USER_MEMORY_FILE),
+        await readMemoryFile('project', PROJECT_MEMORY_FILE),
+    ];
+    return files.filter(Boolean);
+}
+
+/**
+ * Adds the instructions of the memory files to the system prompt.
+ * @param {string} basePrompt - The system prompt without memory.
+ * @param {Array<object>} memoryFiles - The files from loadMemoryFiles().
+ * @returns {string} - The complete system prompt.
+ */
+function buildSystemPrompt(basePrompt, memoryFiles) {
+    if (memoryFiles.length === 0) {
+        return basePrompt;
+    }
+
+    const sections = memoryFiles.map(file =>
+        `<instructions scope="${file.scope}" source="${file.displayPath}">\n${file.content}\n</instructions>`);
+    return `${basePrompt}
+
+The user keeps the following instructions in memory files. Always follow them; project instructions take precedence over user instructions.
+
+${sections.join('\n\n')}`;
+}
+
+/**
+ * Appends a note as a list item to the project memory file, which is created if needed.
+ * @param {string} note - The note without the leading '#'.
+ * @returns {Promise<string>} - The path of the memory file, for display.
+ */
+async function appendMemoryNote(note) {
+    const filePath = resolveMemoryPath(PROJECT_MEMORY_FILE);
+
+    let existingContent = '';
+    try {
+        existingContent = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const separator = existingContent && !existingContent.endsWith('\n') ? '\n' : '';
+    await fs.appendFile(filePath, `${separator}- ${note.replace(/\s+/g, ' ').trim()}\n`, 'utf-8');
+
+    // The next load reads the file again without announcing it as changed
+    memoryCache.delete(filePath);
+    return PROJECT_MEMORY_FILE;
+}
+
+module.exports = {
+    loadMemoryFiles,
+    buildSystemPrompt,
+    appendMemoryNote,
+};
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { registerTool } = require('./tools.js');
+const { registerCommand } = require('./commands.js');
+const { PLUGIN_TOOLS_DIR, PLUGIN_PACKAGES } = require('./config.js');
+
+/**
+ * Lists the plugin files in the tools directory of the workspace.
+ * @param {string} workspaceDir - The workspace root.
+ * @returns {Promise<Array<string>>} - Absolute paths of the *.js files, sorted by name.
+ */
+async function findPluginFiles(workspaceDir) {
+    const toolsDir = path.resolve(workspaceDir, PLUGIN_TOOLS_DIR);
+    let entries;
+    try {
+        entries = await fs.readdir(toolsDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.js'))
+        .map(entry => path.join(toolsDir, entry.name))
+        .sort();
+}
+
+/**
+ * Loads a plugin module and registers the tools and REPL commands it exports.
+ * A module exports a single tool, an array of tools or { tools, commands }.
+ * @param {string} modulePath - The resolved path of the module.
+ * @param {string} source - The name shown for the plugin (relative path or package name).
+ * @param {object} report - { loaded, errors } collecting the outcome.
+ */
+function loadPluginModule(modulePath, source, report) {
+    let exported;
+    try {
+        exported = require(modulePath);
+    } catch (error) {
+        report.errors.push({ source, message: `Could not load: ${error.message}` });
+        return;
+    }
+
+    let tools;
+    let commands = [];
+    if (exported && !Array.isArray(exported) && exported.name === undefined
+        && (Array.isArray(exported.tools) || Array.isArray(exported.commands))) {
+        tools = exported.tools || [];
+        commands = exported.commands || [];
+    } else {
+        tools = Array.isArray(exported) ? exported : [exported];
+    }
+    if (tools.length === 0 && commands.length === 0) {
+        report.errors.push({ source, message: 'The module exports no tools or commands' });
+    }
+
+    // One broken tool or command doesn't prevent the others of the same module
+    for (const tool of tools) {
+        try {
+            registerTool(tool, source);
+            report.loaded.push({ name: tool.name, source });
+        } catch (error) {
+            report.errors.push({ source, message: error.message });
+        }
+    }
+    for (const command of commands) {
+        try {
+            registerCommand(command, source);
+            report.loaded.push({ name: `/${command.name}`, source });
+        } catch (error) {
+            report.errors.push({ source, message: error.message });
+        }
+    }
+}
+
+/**
+ * Discovers plugin tools in the workspace tools directory and in the npm
+ * packages from PLUGIN_PACKAGES, and registers them (and their commands) next to the built-in ones.
+ * Plugins are loaded in a fixed order (files by name, then packages), so the
+ * first plugin wins a name collision.
+ * @param {string} workspaceDir - The workspace root, defaults to the current directory.
+ * @returns {Promise<object>} - { loaded: [{ name, source }], errors: [{ source, message }] }.
+ */
+async function loadPlugins(workspaceDir = process.cwd()) {
+    const report = { loaded: [], errors: [] };
+
+    let pluginFiles = [];
+    try {
+        pluginFiles = await findPluginFiles(workspaceDir);
+    } catch (error) {
+        report.errors.push({ source: PLUGIN_TOOLS_DIR, message: `Could not read directory: ${error.message}` });
+    }
+    for (const filePath of pluginFiles) {
+        loadPluginModule(filePath, path.relative(workspaceDir, filePath), report);
+    }
+
+    for (const packageName of PLUGIN_PACKAGES) {
+        let modulePath;
+        try {
+            // Packages are installed in the workspace, not next to the agent
+            modulePath = require.resolve(packageName, { paths: [workspaceDir] });
+        } catch (error) {
+            report.errors.push({ source: packageName, message: 'Package not found, install it in the workspace' });
+            continue;
+        }
+        loadPluginModule(modulePath, packageName, report);
+    }
+
+    return report;
+}
+
+module.exports = {
+    loadPlugins,
+};
@@ -1,9 +1,15 @@
-const { queryClaude } = require('./services/claude.js');
+const { streamMessage, getModel } = require('./services/providers.js');
 const { findToolByName, getToolSchemas } = require('./tools.js');
 const { requestPermission } = require('./utils/permissions.js');
-const { executeTasksOptimally } = require('./utils/generators.js');
+const { executeTasksOptimally, createAsyncQueue } = require('./utils/generators.js');
+const { TOOL_DEDUPLICATION } = require('./config.js');
+const { settings } = require('./settings.js');
+const { usageTracker, applyUsageEvent } = require('./utils/usage.js');
+const { shouldCompact, compactMessages } = require('./compact.js');
+const { validateSchema } = require('./utils/schema.js');
 const {
-    createToolResultMessage,
+    createToolResultBlock,
+    isContentBlockList,
     formatToolUseForDisplay,
     formatToolResultForDisplay,
     createToolSignature
@@ -20,7 +26,11 @@ const toolExecutionTracker = {
     
     // New: Sequence tracking
     currentSequenceId: null,
+    sequenceCounter: 0,
     sequenceToolCounts: new Map(),
+
+    // Results of read-only calls in the current sequence, by signature
+    resultCache: new Map(),
     
     // Configuration
     TIME_WINDOW_MS: 60000, // 60 seconds
@@ -100,6 +110,47 @@ const toolExecutionTracker = {
         // console.log(`[TRACKER] Tool ${toolUse.name} (ID: ${toolUse.id}) registered. Execution #${this.executionCount}`);
     },
 
+    /**
+     * Returns the earlier execution if a read-only call repeats within the current sequence
+     * (same tool_use ID, or same signature within the time window).
+     * @returns {object|null} - { toolUseId, result } where result is a promise, or null.
+     */
+    findCachedResult(toolUse) {
+        if (!toolUse || !toolUse.name) return null;
+
+        const isRepeated = this.isDuplicate(toolUse) || this.isDuplicateWithTimeWindow(toolUse);
+        if (!isRepeated) return null;
+
+        return this.resultCache.get(createToolSignature(toolUse.name, toolUse.input || {})) || null;
+    },
+
+    /**
+     * Remembers the result of a read-only call. Failed calls are forgotten again,
+     * so a repetition (e.g. after granting permission) runs for real.
+     */
+    cacheResult(toolUse, resultPromise) {
+        const signature = createToolSignature(toolUse.name, toolUse.input || {});
+        const entry = { toolUseId: toolUse.id, result: resultPromise };
+        this.resultCache.set(signature, entry);
+
+        const forget = () => {
+            if (this.resultCache.get(signature) === entry) this.resultCache.delete(signature);
+        };
+        resultPromise.then(result => {
+            if (typeof result === 'string' && result.startsWith('Error')) forget();
+        }, forget);
+    },
+
+    /**
+     * Starts a new sequence, e.g. after a write tool changed the workspace.
+     * Earlier read-only calls no longer count as duplicates.
+     */
+    startNewSequence() {
+        this.currentSequenceId = `${Date.now().toString(36)}-${++this.sequenceCounter}`;
+        this.resultCache.clear();
+        // console.log("[TRACKER] New sequence:", this.currentSequenceId);
+    },
+
     // Increase counter for recursion depth
     incrementRecursionDepth() {
         this.recursionDepth++;
@@ -145,13 +196,198 @@ const toolExecutionTracker = {
         this.contentBlockIds.clear();
         
         // Create new sequence ID
-        this.currentSequenceId = Date.now().toString(36);
+        this.startNewSequence();
         this.sequenceToolCounts.clear();
         
         // console.log("[TRACKER] Tracker reset for new query with sequence ID:", this.currentSequenceId);
     }
 };
 
+// Progress of a running tool is passed on at most this often
+const TOOL_PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Executes a single tool request. Errors are captured instead of thrown,
+ * so one failing tool doesn't cancel the other tools running in parallel.
+ * The lifecycle of the call is reported as 'tool_status' events via onEvent:
+ * started, awaiting_permission (then started again once granted), progress,
+ * and finally completed, failed or denied.
+ * @param {object} params - { index, toolUse, tool, inputError } for the request.
+ * @param {object} context - { abortSignal, onEvent } shared by all tasks of the batch.
+ * @returns {Promise<object>} - { index, toolUse, tool, result, error, isError }.
+ */
+async function runToolTask({ index, toolUse, tool, inputError = null }, { abortSignal = null, onEvent = () => {} } = {}) {
+    const emit = (status, fields = {}) => onEvent({ type: 'tool_status', status, toolUseId: toolUse.id, toolName: toolUse.name, ...fields });
+
+    if (!tool) {
+        emit('failed', { error: `Tool "${toolUse.name}" not found`, durationMs: 0 });
+        return { index, toolUse, tool, result: null, error: null };
+    }
+
+    // Invalid input goes back to Claude as an error result instead of reaching the tool
+    const inputProblem = inputError || describeInvalidInput(toolUse, tool);
+    if (inputProblem) {
+        emit('failed', { error: inputProblem, durationMs: 0 });
+        return { index, toolUse, tool, result: inputProblem, error: null, isError: true };
+    }
+
+    const isReadOnly = Boolean(tool.isReadOnly(toolUse.input));
+    let startTime = Date.now();
+    try {
+        // Repeated read-only calls are answered without touching the workspace again
+        if (isReadOnly && TOOL_DEDUPLICATION !== 'off') {
+            const earlier = toolExecutionTracker.findCachedResult(toolUse);
+            if (earlier) {
+                const result = await formatDuplicateResult(toolUse, earlier);
+                emit('completed', { result, durationMs: 0, cached: true });
+                return { index, toolUse, tool, result, error: null, duplicate: true };
+            }
+        }
+
+        // Waiting for the user is not part of the duration
+        let wasDenied = false;
+        const requestToolPermission = async (toolName, params) => {
+            emit('awaiting_permission');
+            const granted = await requestPermission(toolName, params);
+            if (granted) {
+                startTime = Date.now();
+                emit('started', { input: toolUse.input });
+            } else {
+                wasDenied = true;
+            }
+            return granted;
+        };
+
+        let lastProgressTime = 0;
+        const reportProgress = (message) => {
+            const now = Date.now();
+            if (now - lastProgressTime < TOOL_PROGRESS_INTERVAL_MS) return;
+            lastProgressTime = now;
+            emit('progress', { message: String(message), durationMs: now - startTime });
+        };
+
+        emit('started', { input: toolUse.input });
+        const resultPromise = tool.call(toolUse.input, { requestPermission: requestToolPermission, abortSignal, reportProgress });
+        if (isReadOnly) {
+            toolExecutionTracker.cacheResult(toolUse, resultPromise);
+        }
+        const result = await resultPromise;
+
+        const durationMs = Date.now() - startTime;
+        if (wasDenied) {
+            emit('denied', { result, durationMs });
+        } else if (typeof result === 'string' && result.startsWith('Error')) {
+            // Tools report expected failures as "Error: ..." results
+            emit('failed', { error: result, durationMs });
+        } else {
+            emit('completed', { result, durationMs });
+        }
+        return { index, toolUse, tool, result, error: null };
+    } catch (error) {
+        emit('failed', { error: error.message, durationMs: Date.now() - startTime });
+        return { index, toolUse, tool, result: null, error };
+    } finally {
+        // A write may have changed what earlier reads returned
+        if (!isReadOnly) {
+            toolExecutionTracker.startNewSequence();
+        }
+    }
+}
+
+/**
+ * Validates the input of a tool request against the tool's input_schema.
+ * @param {object} toolUse - The tool request.
+ * @param {object} tool - The tool.
+ * @returns {string|null} - The error text for Claude, or null if the input is valid.
+ */
+function describeInvalidInput(toolUse, tool) {
+    const problems = validateSchema(toolUse.input, tool.input_schema);
+    if (problems.length === 0) {
+        return null;
+    }
+    return `Error: Invalid input for ${tool.name}:\n${problems.map(problem => `- ${problem}`).join('\n')}\nFix the input and call the tool again.`;
+}
+
+/**
+ * Builds the tool result for a repeated read-only call, depending on TOOL_DEDUPLICATION.
+ * @param {object} toolUse - The repeated tool request.
+ * @param {object} earlier - { toolUseId, result } of the earlier execution.
+ * @returns {Promise<string|Array<object>>} - The result returned to Claude.
+ */
+async function formatDuplicateResult(toolUse, earlier) {
+    const notice = `${toolUse.name} was already run with the same parameters (tool_use ${earlier.toolUseId}) and no write tool has run since.`;
+    if (TOOL_DEDUPLICATION === 'strict') {
+        return `${notice} Use its earlier result instead of running it again.`;
+    }
+    const result = await earlier.result;
+    if (isContentBlockList(result)) {
+        // Content blocks such as images are repeated as they are
+        return [{ type: 'text', text: `[${notice} Earlier result:]` }, ...result];
+    }
+    return `[${notice} Earlier result:]\n${typeof result === 'string' ? result : JSON.stringify(result)}`;
+}
+
+/**
+ * Executes all tool requests of one assistant turn via executeTasksOptimally.
+ * Consecutive read-only tools are grouped and run in parallel, write tools run
+ * sequentially, and a read never overtakes a write that was requested before it.
+ * @param {Array<object>} toolUseRequests - The tool requests in the order Claude sent them.
+ * @param {AbortSignal|null} abortSignal - A signal to abort running tools.
+ * @param {Map<string, string>} inputErrors - Errors of inputs that could not be parsed, by tool_use ID.
+ * @param {function} onEvent - Receives the 'tool_status' events of all tools, starting with 'queued'.
+ * @returns {Promise<Array<object>>} - One outcome per request, in the original order.
+ */
+async function executeToolBatch(toolUseRequests, abortSignal = null, inputErrors = new Map(), onEvent = () => {}) {
+    // Split the requests into runs of read-only and write tasks
+    const groups = [];
+    toolUseRequests.forEach((toolUse, index) => {
+        const tool = findToolByName(toolUse.name);
+        const isReadOnly = tool ? Boolean(tool.isReadOnly(toolUse.input)) : true;
+        const task = { fn: runToolTask, isReadOnly, params: { index, toolUse, tool, inputError: inputErrors.get(toolUse.id) || null } };
+
+        onEvent({ type: 'tool_status', status: 'queued', toolUseId: toolUse.id, toolName: toolUse.name, input: toolUse.input });
+
+        const lastGroup = groups[groups.length - 1];
+        if (lastGroup && lastGroup.isReadOnly === isReadOnly) {
+            lastGroup.tasks.push(task);
+        } else {
+            groups.push({ isReadOnly, tasks: [task] });
+        }
+    });
+
+    // Tasks finish in any order, so place each outcome at its original index
+    const outcomes = new Array(toolUseRequests.length);
+    for (const group of groups) {
+        for await (const outcome of executeTasksOptimally(group.tasks, { abortSignal, onEvent }, settings.max_tool_concurrency)) {
+            outcomes[outcome.index] = outcome;
+        }
+    }
+
+    return outcomes;
+}
+
+/**
+ * Checks the limits of the running query and returns the first one that is reached.
+ * @param {object} limits - { maxTurns, maxToolCalls, deadline } of the query.
+ * @returns {object|null} - { limit, count, max, message } or null if all limits are fine.
+ */
+function findReachedLimit(limits) {
+    const turns = toolExecutionTracker.recursionDepth;
+    const toolCalls = toolExecutionTracker.executionCount;
+
+    if (turns >= limits.maxTurns) {
+        return { limit: 'turns', count: turns, max: limits.maxTurns, message: `Claude has been called ${turns} times for this request.` };
+    }
+    if (toolCalls >= limits.maxToolCalls) {
+        return { limit: 'tool_calls', count: toolCalls, max: limits.maxToolCalls, message: `${toolCalls} tools have been executed for this request.` };
+    }
+    if (Date.now() >= limits.deadline) {
+        const minutes = Math.round((Date.now() - limits.startTime) / 60000);
+        return { limit: 'duration', count: Date.now() - limits.startTime, max: limits.deadline - limits.startTime, message: `This request has been running for ${minutes} minutes.` };
+    }
+    return null;
+}
+
 /**
  * The main query generator that processes a conversation with Claude,
  * executes tools and returns the results.
@@ -165,6 +401,7 @@ const toolExecutionTracker = {
 async function* query(messages, systemPrompt = null, abortSignal = null, mainRl = null) {
     // Reset tracker for new query
     toolExecutionTracker.resetForNewQuery();
+    usageTracker.startTurn();
     
     try {
         // Get tool definitions
@@ -172,21 +409,79 @@ async function* query(messages, systemPrompt = null, abortSignal = null, mainRl
         
         // Flag to track if this query is complete
         let isQueryComplete = false;
+
+        // Limits against endless tool loops; raised when the user decides to continue
+        const startTime = Date.now();
+        const limits = {
+            startTime,
+            maxTurns: settings.max_turns_per_query,
+            maxToolCalls: settings.max_tool_calls_per_query,
+            deadline: startTime + settings.max_query_duration_ms,
+        };
         
         while (!isQueryComplete) {  // Continue until query is explicitly marked as complete
+            // Checked before each request, when all tool results of the previous one are in the history
+            const reachedLimit = findReachedLimit(limits);
+            if (reachedLimit) {
+                // The consumer calls continue() while handling the event; without it the query stops
+                const limitEvent = {
+                    type: 'limit_reached',
+                    ...reachedLimit,
+                    shouldContinue: false,
+                    continue() {
+                        this.shouldContinue = true;
+                    },
+                };
+                yield limitEvent;
+
+                if (!limitEvent.shouldContinue) {
+                    yield { type: 'status', message: `Stopped: ${reachedLimit.message}` };
+                    break;
+                }
+
+                // Grant the same amount again
+                limits.maxTurns = toolExecutionTracker.recursionDepth + settings.max_turns_per_query;
+                limits.maxToolCalls = toolExecutionTracker.executionCount + settings.max_tool_calls_per_query;
+                limits.deadline = Date.now() + settings.max_query_duration_ms;
+            }
+            toolExecutionTracker.incrementRecursionDepth();
+
+            // Summarize older messages before the history outgrows the context window
+            if (shouldCompact(messages, systemPrompt, toolDefinitions)) {
+                yield { type: 'status', message: 'Conversation is getting long, compacting older messages...' };
+                try {
+                    const compaction = await compactMessages(messages, abortSignal);
+                    if (compaction) {
+                        yield { type: 'compacted', ...compaction };
+                    }
+                } catch (error) {
+                    // The request may still fit, so try it with the full history
+                    yield { type: 'status', message: `Compaction failed: ${error.message}` };
+                }
+            }
+
+            // Stop before the next request once the session has spent its budget
+            if (usageTracker.isBudgetExceeded()) {
+                const error = new Error(`Budget of $${usageTracker.budgetUsd} exceeded ($${usageTracker.session.costUsd.toFixed(4)} spent). Start with a higher --max-budget to continue.`);
+                error.name = 'BudgetExceededError';
+                yield { type: 'error', error };
+                break;
+            }
+
             // Send request to Claude
             // yield { type: 'status', message: 'Sending request to Claude...' }; // Removed this yield in favor of index.js filtering
-            const claudeStream = queryClaude(messages, toolDefinitions, systemPrompt, abortSignal);
+            const claudeStream = streamMessage(messages, toolDefinitions, systemPrompt, abortSignal);
 
             // Process Claude's response
-            let toolUseRequests = []; // Collects valid tool requests
+            let contentBlocks = []; // Blocks of the assistant message, by the index of the provider events
             let assistantResponseText = ''; // Collects text responses
-            let currentToolInputJson = ''; // Collects JSON input for the current tool
-            let currentToolUseId = null; // ID of current tool block
-            let finalAssistantMessageStructure = null; // Stores the structure of the final message
+            let isMessageComplete = false; // Set by message_stop; otherwise the response was cut off
+            const callUsage = {}; // Token counts of this API call
 
             // Process Claude's stream
             for await (const event of claudeStream) {
+                applyUsageEvent(event, callUsage);
+
                 // Global error handling first
                 if (event.type === 'error') {
                     console.error(`[STREAM ERROR] ${event.error?.message || 'Unknown stream error'}`);
@@ -196,82 +491,90 @@ async function* query(messages, systemPrompt = null, abortSignal = null, mainRl
                 }
 
                 switch (event.type) {
+                    case 'status':
+                        // E.g. retry notices from the provider
+                        yield event;
+                        break;
+
                     case 'message_start':
+                        contentBlocks = [];
                         assistantResponseText = '';
-                        toolUseRequests = [];
-                        finalAssistantMessageStructure = null;
+                        isMessageComplete = false;
                         break;
 
-                    case 'content_block_start':
-                        if (event.data.content_block?.type === 'tool_use') {
-                            const toolUse = {
-                                id: event.data.content_block.id,
-                                name: event.data.content_block.name,
-                                input: {}
-                            };
-                            currentToolUseId = toolUse.id;
-                            currentToolInputJson = '';
-                            toolUseRequests.push(toolUse);
+                    case 'text_delta': {
+                        assistantResponseText += event.text;
+                        if (!contentBlocks[event.index]) {
+                            contentBlocks[event.index] = { type: 'text', text: '' };
+                        }
+                        const block = contentBlocks[event.index];
+                        if (block.type === 'text') {
+                            block.text += event.text;
                         }
                         break;
+                    }
+
+                    case 'tool_use_start':
+                        // A tool_use block that was already received must not run twice
+                        if (toolExecutionTracker.isDuplicateContentBlock(event.id)) break;
+                        contentBlocks[event.index] = { type: 'tool_use', id: event.id, name: event.name, input: {}, inputJson: '' };
+                        break;
 
-                    case 'content_block_delta':
-                        if (event.data.delta.type === 'text_delta') {
-                            assistantResponseText += event.data.delta.text;
-                        } else if (event.data.delta.type === 'input_json_delta' && currentToolUseId) {
-                            currentToolInputJson += event.data.delta.partial_json;
-                            try {
-                                if (currentToolInputJson.trim().startsWith('{') && currentToolInputJson.trim().endsWith('}')) {
-                                    const parsedInput = JSON.parse(currentToolInputJson);
-                                    const currentToolUse = toolUseRequests.find(req => req.id === currentToolUseId);
-                                    if (currentToolUse) {
-                                        currentToolUse.input = parsedInput;
-                                    }
-                                }
-                            } catch (e) { /* JSON still incomplete */ }
+                    case 'tool_use_delta': {
+                        const block = contentBlocks[event.index];
+                        if (block && block.type === 'tool_use') {
+                            block.inputJson += event.partialJson;
                         }
                         break;
+                    }
 
                     case 'message_stop':
-                        finalAssistantMessageStructure = {
-                            role: 'assistant',
-                            content: [{ type: 'text', text: assistantResponseText }],
-                            tool_uses: toolUseRequests
-                        };
+                        isMessageComplete = true;
                         break;
                 }
             }
 
+            // Parse the tool inputs once they are complete
+            for (const block of contentBlocks) {
+                if (block && block.type === 'tool_use' && block.inputJson.trim()) {
+                    try {
+                        block.input = JSON.parse(block.inputJson);
+                    } catch (e) {
+                        // The tool doesn't run with an empty input, Claude gets the problem reported instead
+                        const received = block.inputJson.length > 200 ? `${block.inputJson.slice(0, 200)}...` : block.inputJson;
+                        block.inputError = `Error: The input for ${block.name} is not valid JSON (${e.message}). Received: ${received}\nSend the complete input again.`;
+                    }
+                }
+            }
+
+            // Account the tokens of this call, also if the stream ended with an error
+            if (callUsage.inputTokens !== undefined) {
+                const call = usageTracker.recordApiCall(callUsage, getModel());
+                yield { type: 'usage', call, turn: { ...usageTracker.turn }, session: { ...usageTracker.session } };
+            }
+
             // First, output Claude's text response if any
             if (assistantResponseText.trim()) {
                 yield { type: 'final_assistant_response', content: assistantResponseText };
             }
 
-            // Add Claude's response to conversation history properly
-            if (finalAssistantMessageStructure) {
-                // Add assistant's text response first (without tools)
-                if (assistantResponseText.trim()) {
-                    messages.push({
-                        role: 'assistant',
-                        content: assistantResponseText
-                    });
-                }
-                
-                // If we have tool requests, add them separately (not in the same message)
-                if (toolUseRequests.length > 0) {
-                    // Format must match Claude's expected format for tool use
-                    const toolUseMessage = {
-                        role: 'assistant',
-                        content: toolUseRequests.map(toolUse => ({
-                            type: 'tool_use',
-                            id: toolUse.id,
-                            name: toolUse.name,
-                            input: toolUse.input
-                        }))
-                    };
-                    
-                    messages.push(toolUseMessage);
-                }
+            // A cut-off response (error or abort) is not added to the history and its tools don't run
+            if (!isMessageComplete) {
+                isQueryComplete = true;
+                break;
+            }
+
+            // Rebuild the assistant message with its blocks in stream order; the API rejects empty text blocks
+            const assistantContent = contentBlocks
+                .filter(block => block && !(block.type === 'text' && !block.text.trim()))
+                .map(({ inputJson, inputError, ...block }) => block);
+            const toolUseRequests = assistantContent.filter(block => block.type === 'tool_use');
+            const inputErrors = new Map(contentBlocks
+                .filter(block => block && block.inputError)
+                .map(block => [block.id, block.inputError]));
+
+            if (assistantContent.length > 0) {
+                messages.push({ role: 'assistant', content: assistantContent });
             }
 
             // If no tools to execute, we're done with this query
@@ -281,48 +584,81 @@ async function* query(messages, systemPrompt = null, abortSignal = null, mainRl
                 break;
             }
 
-            // Process tool requests
-            for (const toolUse of toolUseRequests) {
-                const tool = findToolByName(toolUse.name);
+            // Process tool requests: read-only tools run in parallel, write tools one after another
+            const toolsNeedingPermission = new Set(toolUseRequests
+                .filter(toolUse => {
+                    const tool = findToolByName(toolUse.name);
+                    return tool && tool.needsPermission ? tool.needsPermission(toolUse.input) : false;
+                })
+                .map(toolUse => toolUse.id));
+            const needsAnyPermission = toolsNeedingPermission.size > 0;
+
+            if (needsAnyPermission) {
+                yield { type: 'awaiting_permissions' };
+            }
+
+            // Lifecycle events of the tools are passed on while the batch is running.
+            // permissions_resolved follows as soon as no tool can ask anymore, so the REPL
+            // reads input again (e.g. /stop) while long-running tools are still at work.
+            const toolStatusEvents = createAsyncQueue();
+            const toolsAskingPermission = new Set();
+            let isPermissionResolved = !needsAnyPermission;
+            const onToolStatus = (event) => {
+                toolStatusEvents.push(event);
+                if (isPermissionResolved || !toolsNeedingPermission.has(event.toolUseId)) return;
+
+                if (event.status === 'awaiting_permission') {
+                    toolsAskingPermission.add(event.toolUseId);
+                } else if (['completed', 'failed', 'denied'].includes(event.status)
+                    || (event.status === 'started' && toolsAskingPermission.has(event.toolUseId))) {
+                    toolsNeedingPermission.delete(event.toolUseId);
+                }
+                if (toolsNeedingPermission.size === 0) {
+                    isPermissionResolved = true;
+                    toolStatusEvents.push({ type: 'permissions_resolved' });
+                }
+            };
+            const batchPromise = executeToolBatch(toolUseRequests, abortSignal, inputErrors, onToolStatus)
+                .finally(() => toolStatusEvents.close());
+            batchPromise.catch(() => {}); // Handled by the await below, once all events are passed on
+            for await (const statusEvent of toolStatusEvents) {
+                yield statusEvent;
+            }
+            const toolOutcomes = await batchPromise;
+
+            // Ensure permissions_resolved is sent even if the batch failed before all permissions were requested
+            if (!isPermissionResolved) {
+                yield { type: 'permissions_resolved' };
+            }
+
+            // Every tool_use gets a result, in the original order, all in one user message
+            const toolResultBlocks = [];
+            const toolEvents = [];
+            for (const { toolUse, tool, result, error, isError = false } of toolOutcomes) {
                 if (!tool) {
                     console.error(`❌ Tool ${toolUse.name} not found`);
+                    const availableNames = toolDefinitions.map(definition => definition.name).join(', ');
+                    toolResultBlocks.push(createToolResultBlock(toolUse, `Error: Tool "${toolUse.name}" not found. Available tools: ${availableNames}`, true));
                     continue;
                 }
+                toolExecutionTracker.trackExecution(toolUse);
 
-                let needsPerm = false;
-                try {
-                    // Check if permission is needed before calling the tool
-                    needsPerm = tool.needsPermission ? tool.needsPermission(toolUse.input) : false;
-                    
-                    if (needsPerm) {
-                        yield { type: 'awaiting_permissions' };
-                    }
-                    
-                    // Execute the tool
-                    const result = await tool.call(toolUse.input, { requestPermission });
-                    
-                    if (needsPerm) {
-                        yield { type: 'permissions_resolved' };
-                    }
-                    
-                    // Create tool result message
-                    const toolResultMessage = createToolResultMessage(toolUse, result);
-                    
-                    // Add result to conversation history
-                    messages.push(toolResultMessage);
-                    
-                    // Yield tool completion event
-                    yield { type: 'tool_complete', result };
-                } catch (error) {
+                if (error) {
                     console.error(`❌ Error executing tool ${toolUse.name}:`, error);
-                    // Ensure permissions_resolved is sent even if the tool call fails after permission was requested
-                    if (needsPerm) {
-                        yield { type: 'permissions_resolved' };
-                    }
-                    yield { type: 'error', error };
+                    toolResultBlocks.push(createToolResultBlock(toolUse, `Error: ${error.message}`, true));
+                    toolEvents.push({ type: 'error', error });
                     isQueryComplete = true;
-                    break;
+                    continue;
                 }
+
+                toolResultBlocks.push(createToolResultBlock(toolUse, result, isError));
+                toolEvents.push({ type: 'tool_complete', toolUseId: toolUse.id, toolName: toolUse.name, result });
+            }
+
+            // Add the results to the conversation history before announcing them
+            messages.push({ role: 'user', content: toolResultBlocks });
+            for (const toolEvent of toolEvents) {
+                yield toolEvent;
             }
         }
         
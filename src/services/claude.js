@@ -1,31 +1,129 @@
-const {
-    CLAUDE_API_KEY,
-    CLAUDE_API_URL,
-    CLAUDE_API_VERSION,
-    MAX_TOKENS,
-    CLAUDE_MODEL
-} = require('../config');
+const { CLAUDE_API_KEY, CLAUDE_API_BASE_URL, CLAUDE_API_VERSION, CLAUDE_MODEL } = require('../config');
+const { settings } = require('../settings.js');
+const { parseSSEStream } = require('../utils/sse.js');
+const { ApiError, isRetryableError, parseRetryAfter, streamWithRetries } = require('./retry.js');
+
+/**
+ * Error returned by the Claude API, either as HTTP error response or as 'error' event in the stream.
+ */
+class ClaudeApiError extends ApiError {
+    /**
+     * @param {string} message - The error message.
+     * @param {object} details - { status, type, retryAfterMs }, see ApiError.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ClaudeApiError';
+    }
+}
+
+/**
+ * Extracts the error type from an API error body like {"type":"error","error":{"type":"...","message":"..."}}.
+ * @param {string} body - The response body.
+ * @returns {string|null} - The error type or null.
+ */
+function parseErrorType(body) {
+    try {
+        return JSON.parse(body).error?.type || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Converts an SSE event of the Messages API into the normalized provider events (see providers.js).
+ * @param {string} eventType - The SSE event name, e.g. 'content_block_delta'.
+ * @param {object} data - The parsed event data.
+ * @param {object} state - State of the current response, modified in place: { stopReason }.
+ * @returns {Array<object>} - The normalized events, empty for events like 'ping'.
+ */
+function normalizeEvent(eventType, data, state) {
+    switch (eventType) {
+        case 'message_start': {
+            // message_start carries the input and cache tokens
+            const usage = data.message?.usage || {};
+            return [
+                { type: 'message_start' },
+                {
+                    type: 'usage',
+                    model: data.message?.model,
+                    inputTokens: usage.input_tokens || 0,
+                    outputTokens: usage.output_tokens || 0,
+                    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+                    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+                },
+            ];
+        }
+
+        case 'content_block_start': {
+            const block = data.content_block;
+            if (block?.type === 'tool_use') {
+                return [{ type: 'tool_use_start', index: data.index, id: block.id, name: block.name }];
+            }
+            if (block?.type === 'text' && block.text) {
+                return [{ type: 'text_delta', index: data.index, text: block.text }];
+            }
+            return [];
+        }
+
+        case 'content_block_delta':
+            if (data.delta?.type === 'text_delta') {
+                return [{ type: 'text_delta', index: data.index, text: data.delta.text }];
+            }
+            if (data.delta?.type === 'input_json_delta') {
+                return [{ type: 'tool_use_delta', index: data.index, partialJson: data.delta.partial_json }];
+            }
+            return [];
+
+        case 'message_delta': {
+            state.stopReason = data.delta?.stop_reason || state.stopReason;
+            // message_delta carries the (cumulative) output tokens; newer API versions also the final input counts
+            const usage = data.usage;
+            if (!usage) return [];
+            const usageEvent = { type: 'usage' };
+            if (usage.output_tokens !== undefined) usageEvent.outputTokens = usage.output_tokens;
+            if (usage.input_tokens !== undefined) usageEvent.inputTokens = usage.input_tokens;
+            if (usage.cache_creation_input_tokens !== undefined) usageEvent.cacheCreationInputTokens = usage.cache_creation_input_tokens;
+            if (usage.cache_read_input_tokens !== undefined) usageEvent.cacheReadInputTokens = usage.cache_read_input_tokens;
+            return [usageEvent];
+        }
+
+        case 'message_stop':
+            return [{ type: 'message_stop', stopReason: state.stopReason || null }];
+
+        default:
+            // ping, content_block_stop
+            return [];
+    }
+}
 
 /**
  * Sends a request to the Claude API and returns the response as an Async-Generator.
+ * Rate limits (429), overload (529), server and network errors are retried with backoff
+ * as long as no event has been yielded yet; a 'status' event announces each retry.
  * @param {Array<object>} messages - The conversation history.
  * @param {Array<object>|null} tools - The available tools.
  * @param {string|null} systemPrompt - The system prompt.
  * @param {AbortSignal|null} abortSignal - A signal to abort the request.
- * @yields {object} - Chunks of the API response (SSE events).
+ * @param {string} model - The model id.
+ * @yields {object} - Normalized provider events (see providers.js).
  */
-async function* queryClaude(messages, tools = null, systemPrompt = null, abortSignal = null) {
+async function* queryClaude(messages, tools = null, systemPrompt = null, abortSignal = null, model = CLAUDE_MODEL) {
     if (!CLAUDE_API_KEY || CLAUDE_API_KEY === 'YOUR_API_KEY') {
         throw new Error("Claude API key not configured. Please set it in src/config.js or as environment variable CLAUDE_API_KEY.");
     }
 
     const requestBody = {
-        model: CLAUDE_MODEL,
+        model,
         messages: messages,
-        max_tokens: MAX_TOKENS,
+        max_tokens: settings.max_tokens,
         stream: true,
     };
 
+    if (settings.temperature !== null) {
+        requestBody.temperature = settings.temperature;
+    }
+
     if (tools && tools.length > 0) {
         requestBody.tools = tools.map(tool => ({
             type: "custom",
@@ -38,8 +136,17 @@ async function* queryClaude(messages, tools = null, systemPrompt = null, abortSi
         requestBody.system = systemPrompt;
     }
 
-    try {
-        const response = await globalThis.fetch(CLAUDE_API_URL, {
+    const baseUrl = (settings.api_base_url || CLAUDE_API_BASE_URL).replace(/\/+$/, '');
+
+    /**
+     * Runs one attempt of the request.
+     * @yields {object} - Normalized provider events.
+     */
+    async function* startAttempt() {
+        let hasYielded = false;
+        const state = { stopReason: null };
+
+        const response = await globalThis.fetch(`${baseUrl}/v1/messages`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -52,65 +159,46 @@ async function* queryClaude(messages, tools = null, systemPrompt = null, abortSi
 
         if (!response.ok) {
             const errorBody = await response.text();
-            throw new Error(`Claude API error: ${response.status} ${response.statusText} - ${errorBody}`);
+            throw new ClaudeApiError(`Claude API error: ${response.status} ${response.statusText} - ${errorBody}`, {
+                status: response.status,
+                type: parseErrorType(errorBody),
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+            });
         }
 
         // Process the stream of Server-Sent Events (SSE)
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-        let buffer = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-                break;
+        for await (const sseEvent of parseSSEStream(response.body)) {
+            let parsedData;
+            try {
+                parsedData = JSON.parse(sseEvent.data);
+            } catch (e) {
+                console.error('Error parsing SSE data:', sseEvent.data, e);
+                // Ignore faulty JSON data and continue
+                continue;
             }
 
-            buffer += decoder.decode(value, { stream: true });
-
-            // Process complete SSE messages in the buffer
-            let boundary = buffer.indexOf('\n\n');
-            while (boundary !== -1) {
-                const message = buffer.substring(0, boundary);
-                buffer = buffer.substring(boundary + 2);
-
-                if (message.startsWith('event:')) {
-                    const lines = message.split('\n');
-                    const eventType = lines[0].substring('event: '.length).trim();
-                    const dataLine = lines.find(line => line.startsWith('data:'));
-
-                    if (dataLine) {
-                        const data = dataLine.substring('data: '.length).trim();
-                        try {
-                            const parsedData = JSON.parse(data);
-                            yield { type: eventType, data: parsedData };
-                        } catch (e) {
-                            console.error('Error parsing SSE data:', data, e);
-                            // Ignore faulty JSON data and continue
-                        }
-                    }
+            if (sseEvent.event === 'error') {
+                const error = new ClaudeApiError(
+                    `Claude API stream error: ${parsedData.error?.message || parsedData.error?.type || 'unknown error'}`,
+                    { type: parsedData.error?.type || null }
+                );
+                // An overload or rate limit error before any output can be retried like an HTTP error
+                if (!hasYielded && isRetryableError(error)) {
+                    throw error;
                 }
-                boundary = buffer.indexOf('\n\n');
+                // Otherwise the error ends the stream as a regular event for query()
+                yield { type: 'error', error };
+                return;
             }
-        }
 
-        // Process remaining data in the buffer (should not occur with correct SSEs)
-        if (buffer.trim()) {
-             console.warn('Remaining data in SSE buffer:', buffer);
-             // Optional: Try to parse the remaining data if expected
-        }
-
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            console.log('Claude API request aborted.');
-            // Silently terminate the generator
-            return;
-        } else {
-            console.error("Error in Claude API request:", error);
-            // Throw the error further or handle it specifically
-            throw error;
+            for (const event of normalizeEvent(sseEvent.event, parsedData, state)) {
+                hasYielded = true;
+                yield event;
+            }
         }
     }
+
+    yield* streamWithRetries(startAttempt, { serviceName: 'Claude API', abortSignal });
 }
 
-module.exports = { queryClaude };
+module.exports = { queryClaude, ClaudeApiError };
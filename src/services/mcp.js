@@ -0,0 +1,400 @@
+const { spawn } = require('child_process');
+const { registerTool } = require('../tools.js');
+const { MCP_SERVERS, MCP_STARTUP_TIMEOUT_MS, MCP_CALL_TIMEOUT_MS } = require('../config.js');
+const { version: CLIENT_VERSION } = require('../../package.json');
+
+// Protocol revision sent in the initialize request
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+// Standard JSON-RPC error code for unknown methods
+const METHOD_NOT_FOUND = -32601;
+
+// Only the end of the server's stderr is kept for error messages
+const MAX_STDERR_LENGTH = 2000;
+
+/**
+ * Custom error class for failed MCP requests.
+ */
+class McpError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {object} details - { code, serverName } of the failed request.
+     */
+    constructor(message, { code = null, serverName = null } = {}) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+        this.serverName = serverName;
+    }
+}
+
+/**
+ * Client for one MCP server that is started as a child process and speaks
+ * JSON-RPC 2.0 over stdin/stdout, one message per line.
+ */
+class McpClient {
+    /**
+     * @param {string} serverName - The name of the server from MCP_SERVERS.
+     * @param {object} serverConfig - { command, args, env, cwd } to start the server and an optional
+     *   callTimeoutMs for tool calls (default MCP_CALL_TIMEOUT_MS).
+     */
+    constructor(serverName, serverConfig) {
+        this.serverName = serverName;
+        this.serverConfig = serverConfig;
+        this.process = null;
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+        this.stdoutBuffer = '';
+        this.stderrTail = '';
+        this.exitError = null;
+        this.serverInfo = null;
+    }
+
+    /**
+     * Starts the server process and performs the initialize handshake.
+     * @returns {Promise<object>} - The result of the initialize request.
+     */
+    async connect() {
+        const { command, args = [], env = {}, cwd } = this.serverConfig;
+        if (!command) {
+            throw new McpError('No "command" configured', { serverName: this.serverName });
+        }
+
+        this.process = spawn(command, args, {
+            cwd: cwd || process.cwd(),
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe'],
+        });
+
+        this.process.stdout.setEncoding('utf8');
+        this.process.stdout.on('data', chunk => this.handleStdout(chunk));
+        this.process.stderr.setEncoding('utf8');
+        this.process.stderr.on('data', chunk => {
+            this.stderrTail = (this.stderrTail + chunk).slice(-MAX_STDERR_LENGTH);
+        });
+        // Writing to a server that just exited must not crash the agent
+        this.process.stdin.on('error', () => {});
+        this.process.on('error', error => this.handleExit(`could not be started: ${error.message}`));
+        this.process.on('exit', (code, signal) => this.handleExit(`exited (${signal || `code ${code}`})`));
+
+        const result = await this.request('initialize', {
+            protocolVersion: MCP_PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: { name: 'my-first-agent', version: CLIENT_VERSION },
+        }, { timeoutMs: MCP_STARTUP_TIMEOUT_MS });
+
+        this.serverInfo = result.serverInfo || null;
+        this.notify('notifications/initialized');
+        return result;
+    }
+
+    /**
+     * Splits the stdout stream into lines and dispatches each JSON-RPC message.
+     * @param {string} chunk - The received data.
+     */
+    handleStdout(chunk) {
+        this.stdoutBuffer += chunk;
+        let newlineIndex;
+        while ((newlineIndex = this.stdoutBuffer.indexOf('\n')) !== -1) {
+            const line = this.stdoutBuffer.slice(0, newlineIndex).trim();
+            this.stdoutBuffer = this.stdoutBuffer.slice(newlineIndex + 1);
+            if (!line) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                // Servers sometimes log to stdout; such lines are not protocol messages
+                continue;
+            }
+            this.handleMessage(message);
+        }
+    }
+
+    /**
+     * Handles a response, a request or a notification from the server.
+     * @param {object} message - The parsed JSON-RPC message.
+     */
+    handleMessage(message) {
+        // Response to one of our requests
+        if (message.id !== undefined && message.method === undefined) {
+            const pending = this.pendingRequests.get(message.id);
+            if (!pending) return;
+            this.pendingRequests.delete(message.id);
+            if (message.error) {
+                pending.reject(new McpError(message.error.message || 'Unknown error', {
+                    code: message.error.code,
+                    serverName: this.serverName,
+                }));
+            } else {
+                pending.resolve(message.result || {});
+            }
+            return;
+        }
+
+        // Request from the server: only ping is supported
+        if (message.id !== undefined) {
+            if (message.method === 'ping') {
+                this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+            } else {
+                this.send({ jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not supported: ${message.method}` } });
+            }
+        }
+        // Notifications (logging, list changes) are ignored
+    }
+
+    /**
+     * Rejects all open requests once the server process is gone.
+     * @param {string} reason - What happened to the process.
+     */
+    handleExit(reason) {
+        if (this.exitError) return;
+
+        const stderr = this.stderrTail.trim();
+        this.exitError = new McpError(`MCP server "${this.serverName}" ${reason}${stderr ? `: ${stderr}` : ''}`, { serverName: this.serverName });
+        for (const pending of this.pendingRequests.values()) {
+            pending.reject(this.exitError);
+        }
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Writes a JSON-RPC message to the server.
+     * @param {object} message - The message.
+     */
+    send(message) {
+        if (this.exitError || !this.process) return;
+        this.process.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    /**
+     * Sends a notification (no response expected).
+     * @param {string} method - The method name.
+     * @param {object} params - The parameters.
+     */
+    notify(method, params = undefined) {
+        this.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    }
+
+    /**
+     * Sends a request and waits for its response.
+     * @param {string} method - The method name.
+     * @param {object} params - The parameters.
+     * @param {object} options - { timeoutMs, abortSignal }; without them the request waits indefinitely.
+     * @returns {Promise<object>} - The result of the response.
+     * @throws {McpError} If the server answers with an error, exits, or the request times out.
+     */
+    request(method, params = {}, { timeoutMs = null, abortSignal = null } = {}) {
+        if (this.exitError) {
+            return Promise.reject(this.exitError);
+        }
+
+        if (abortSignal && abortSignal.aborted) {
+            const error = new Error('The MCP request was aborted.');
+            error.name = 'AbortError';
+            return Promise.reject(error);
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const cleanUp = () => {
+                clearTimeout(timer);
+                if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                this.pendingRequests.delete(id);
+                this.notify('notifications/cancelled', { requestId: id, reason: 'Aborted by the user' });
+                cleanUp();
+                const error = new Error('The MCP request was aborted.');
+                error.name = 'AbortError';
+                reject(error);
+            };
+
+            this.pendingRequests.set(id, {
+                resolve: result => { cleanUp(); resolve(result); },
+                reject: error => { cleanUp(); reject(error); },
+            });
+
+            if (timeoutMs) {
+                timer = setTimeout(() => {
+                    this.pendingRequests.delete(id);
+                    this.notify('notifications/cancelled', { requestId: id, reason: 'Timed out' });
+                    cleanUp();
+                    reject(new McpError(`MCP server "${this.serverName}" did not answer "${method}" within ${timeoutMs / 1000}s`, { serverName: this.serverName }));
+                }, timeoutMs);
+            }
+            if (abortSignal) {
+                abortSignal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.send({ jsonrpc: '2.0', id, method, params });
+        });
+    }
+
+    /**
+     * Lists all tools of the server, following the pagination cursor.
+     * @returns {Promise<Array<object>>} - The tool descriptions ({ name, description, inputSchema, annotations }).
+     */
+    async listTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {}, { timeoutMs: MCP_STARTUP_TIMEOUT_MS });
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    /**
+     * Calls a tool of the server. A hung server can't block the agent: the call fails after
+     * the server's callTimeoutMs or MCP_CALL_TIMEOUT_MS.
+     * @param {string} toolName - The name of the tool on the server.
+     * @param {object} args - The tool arguments.
+     * @param {AbortSignal|null} abortSignal - A signal to cancel the call.
+     * @returns {Promise<object>} - The result ({ content, isError }).
+     */
+    callTool(toolName, args, abortSignal = null) {
+        const timeoutMs = this.serverConfig.callTimeoutMs || MCP_CALL_TIMEOUT_MS;
+        return this.request('tools/call', { name: toolName, arguments: args }, { timeoutMs, abortSignal });
+    }
+
+    /**
+     * Stops the server process.
+     */
+    close() {
+        if (!this.process || this.exitError) return;
+        this.process.stdin.end();
+        this.process.kill();
+    }
+}
+
+/**
+ * Converts the content blocks of a tools/call result into text for Claude.
+ * @param {Array<object>} content - The MCP content blocks.
+ * @returns {string} - The text of the result.
+ */
+function formatMcpContent(content = []) {
+    return content.map(block => {
+        switch (block.type) {
+            case 'text':
+                return block.text;
+            case 'resource':
+                return block.resource?.text ?? `[Resource: ${block.resource?.uri}]`;
+            case 'image':
+            case 'audio':
+                return `[${block.type} (${block.mimeType}) omitted]`;
+            default:
+                return JSON.stringify(block);
+        }
+    }).join('\n');
+}
+
+/**
+ * Creates the name of a remote tool. The API only allows letters, digits, "_"
+ * and "-" and at most 64 characters; the prefix avoids collisions with local tools.
+ * @param {string} serverName - The name of the server.
+ * @param {string} toolName - The name of the tool on the server.
+ * @returns {string} - The tool name shown to Claude.
+ */
+function getMcpToolName(serverName, toolName) {
+    return `mcp__${serverName}__${toolName}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+/**
+ * Wraps a remote tool so it looks like a local tool in availableTools.
+ * @param {McpClient} client - The client of the server.
+ * @param {object} remoteTool - The tool description from tools/list.
+ * @returns {object} - The tool object.
+ */
+function createMcpTool(client, remoteTool) {
+    return {
+        name: getMcpToolName(client.serverName, remoteTool.name),
+        description: remoteTool.description || `Tool "${remoteTool.name}" of the MCP server "${client.serverName}".`,
+        input_schema: remoteTool.inputSchema || { type: 'object', properties: {} },
+        // Servers can mark tools as read-only, everything else may change state
+        isReadOnly: () => remoteTool.annotations?.readOnlyHint === true,
+        needsPermission: () => true, // Remote tools are approved like local ones
+        async call(input, { requestPermission, abortSignal = null }) {
+            const hasPerm = await requestPermission(this.name, input);
+            if (!hasPerm) {
+                return `Error: No permission to use ${this.name}.`;
+            }
+
+            try {
+                const result = await client.callTool(remoteTool.name, input, abortSignal);
+                const text = formatMcpContent(result.content);
+                return result.isError ? `Error: ${text}` : text;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return 'Error: The tool call was aborted.';
+                }
+                // We return an error string instead of throwing the error so Claude can process it
+                return `Error calling ${remoteTool.name} on MCP server "${client.serverName}": ${error.message}`;
+            }
+        }
+    };
+}
+
+// Clients of the connected servers, closed on exit
+const connectedClients = [];
+
+/**
+ * Starts the configured MCP servers and registers their tools.
+ * A server that fails doesn't prevent the others.
+ * @param {object} servers - Server configurations by name, defaults to MCP_SERVERS.
+ * @returns {Promise<object>} - { loaded: [{ name, source }], errors: [{ source, message }] }.
+ */
+async function loadMcpServers(servers = MCP_SERVERS) {
+    const report = { loaded: [], errors: [] };
+
+    const connections = Object.entries(servers).map(async ([serverName, serverConfig]) => {
+        const client = new McpClient(serverName, serverConfig);
+        try {
+            await client.connect();
+            return { client, remoteTools: await client.listTools() };
+        } catch (error) {
+            client.close();
+            return { client, error };
+        }
+    });
+
+    // Register in the configured order, so name collisions are resolved the same way every time
+    for (const { client, remoteTools, error } of await Promise.all(connections)) {
+        const source = `mcp:${client.serverName}`;
+        if (error) {
+            report.errors.push({ source, message: error.message });
+            continue;
+        }
+
+        connectedClients.push(client);
+        for (const remoteTool of remoteTools) {
+            try {
+                const tool = createMcpTool(client, remoteTool);
+                registerTool(tool, source);
+                report.loaded.push({ name: tool.name, source });
+            } catch (registerError) {
+                report.errors.push({ source, message: registerError.message });
+            }
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Stops all MCP servers started by loadMcpServers().
+ */
+function closeMcpServers() {
+    for (const client of connectedClients.splice(0)) {
+        client.close();
+    }
+}
+
+module.exports = {
+    McpClient,
+    McpError,
+    loadMcpServers,
+    closeMcpServers,
+};
@@ -0,0 +1,297 @@
+const { OPENAI_API_KEY, OPENAI_API_BASE_URL, OPENAI_MODEL } = require('../config');
+const { settings } = require('../settings.js');
+const { parseSSEStream } = require('../utils/sse.js');
+const { ApiError, isRetryableError, parseRetryAfter, streamWithRetries } = require('./retry.js');
+
+// Base URLs of servers that rejected stream_options; they are sent no more in this session
+const serversWithoutStreamOptions = new Set();
+
+/**
+ * Error returned by an OpenAI-compatible API, either as HTTP error response or as error chunk in the stream.
+ */
+class OpenAIApiError extends ApiError {
+    /**
+     * @param {string} message - The error message.
+     * @param {object} details - { status, type, retryAfterMs }, see ApiError.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'OpenAIApiError';
+    }
+}
+
+/**
+ * Extracts the error type from an API error body like {"error":{"type":"...","code":"...","message":"..."}}.
+ * @param {string} body - The response body.
+ * @returns {string|null} - The error type or null.
+ */
+function parseErrorType(body) {
+    try {
+        const error = JSON.parse(body).error;
+        return error?.type || error?.code || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Converts the content of a tool_result block to text; images are returned separately,
+ * because tool messages can only contain text.
+ * @param {string|Array<object>} content - The content of the tool_result block.
+ * @returns {object} - { text, images } with images as image_url content parts.
+ */
+function convertToolResultContent(content) {
+    if (typeof content === 'string') {
+        return { text: content, images: [] };
+    }
+    const texts = [];
+    const images = [];
+    for (const block of content || []) {
+        if (block.type === 'text') {
+            texts.push(block.text);
+        } else if (block.type === 'image') {
+            images.push(convertImageBlock(block));
+        }
+    }
+    return { text: texts.join('\n'), images };
+}
+
+/**
+ * Converts an image block of the conversation history into an image_url content part.
+ * @param {object} block - The image block { type: 'image', source: { type: 'base64', media_type, data } }.
+ * @returns {object} - The content part with a data URL.
+ */
+function convertImageBlock(block) {
+    return { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } };
+}
+
+/**
+ * Converts the conversation history, which uses the content blocks of the Claude Messages API,
+ * into chat completion messages: tool_use blocks become tool_calls of the assistant message,
+ * tool_result blocks become 'tool' messages.
+ * @param {Array<object>} messages - The conversation history.
+ * @param {string|null} systemPrompt - The system prompt.
+ * @returns {Array<object>} - The chat completion messages.
+ */
+function convertMessages(messages, systemPrompt) {
+    const converted = [];
+    if (systemPrompt) {
+        converted.push({ role: 'system', content: systemPrompt });
+    }
+
+    for (const message of messages) {
+        if (typeof message.content === 'string') {
+            converted.push({ role: message.role, content: message.content });
+            continue;
+        }
+
+        if (message.role === 'assistant') {
+            const text = message.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            const toolCalls = message.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+                }));
+            const assistantMessage = { role: 'assistant', content: text || null };
+            if (toolCalls.length > 0) {
+                assistantMessage.tool_calls = toolCalls;
+            }
+            converted.push(assistantMessage);
+            continue;
+        }
+
+        // User message: tool results must directly follow the assistant message with the tool calls
+        const parts = [];
+        const toolImages = [];
+        for (const block of message.content) {
+            if (block.type === 'tool_result') {
+                const { text, images } = convertToolResultContent(block.content);
+                converted.push({ role: 'tool', tool_call_id: block.tool_use_id, content: text || (images.length > 0 ? '[Image attached below]' : '') });
+                toolImages.push(...images);
+            } else if (block.type === 'text') {
+                parts.push({ type: 'text', text: block.text });
+            } else if (block.type === 'image') {
+                parts.push(convertImageBlock(block));
+            }
+        }
+        // Images returned by tools (e.g. viewFile) are sent in a user message after the tool messages
+        if (toolImages.length > 0) {
+            parts.unshift({ type: 'text', text: 'Images returned by the tools above:' }, ...toolImages);
+        }
+        if (parts.length > 0) {
+            const isTextOnly = parts.every(part => part.type === 'text');
+            converted.push({ role: 'user', content: isTextOnly ? parts.map(part => part.text).join('\n') : parts });
+        }
+    }
+
+    return converted;
+}
+
+/**
+ * Sends a request to an OpenAI-compatible chat completions API and returns the response as an Async-Generator.
+ * Tools are offered via function calling. Retries work like for the Claude API.
+ * @param {Array<object>} messages - The conversation history (content blocks of the Claude Messages API).
+ * @param {Array<object>|null} tools - The available tools.
+ * @param {string|null} systemPrompt - The system prompt.
+ * @param {AbortSignal|null} abortSignal - A signal to abort the request.
+ * @param {string} model - The model id.
+ * @yields {object} - Normalized provider events (see providers.js).
+ */
+async function* queryOpenAI(messages, tools = null, systemPrompt = null, abortSignal = null, model = OPENAI_MODEL) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (OPENAI_API_KEY) {
+        headers.Authorization = `Bearer ${OPENAI_API_KEY}`;
+    }
+    const baseUrl = (settings.api_base_url || OPENAI_API_BASE_URL).replace(/\/+$/, '');
+
+    const requestBody = {
+        model,
+        messages: convertMessages(messages, systemPrompt),
+        max_tokens: settings.max_tokens,
+        stream: true,
+    };
+    if (!serversWithoutStreamOptions.has(baseUrl)) {
+        // The token counts arrive in a last chunk without choices
+        requestBody.stream_options = { include_usage: true };
+    }
+
+    if (settings.temperature !== null) {
+        requestBody.temperature = settings.temperature;
+    }
+
+    if (tools && tools.length > 0) {
+        requestBody.tools = tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.input_schema,
+            },
+        }));
+    }
+
+    /**
+     * Runs one attempt of the request.
+     * @yields {object} - Normalized provider events.
+     */
+    async function* startAttempt() {
+        let hasYielded = false;
+        let finishReason = null;
+        // Tool calls by their index in the stream; text is block 0, tool call i is block i + 1
+        const toolCalls = new Map();
+
+        const sendRequest = () => globalThis.fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(requestBody),
+            signal: abortSignal,
+        });
+
+        let response = await sendRequest();
+        let errorBody = response.ok ? null : await response.text();
+
+        // Some OpenAI-compatible servers reject stream_options; without it only the token counts are missing
+        if (response.status === 400 && requestBody.stream_options && /stream_options|include_usage/i.test(errorBody)) {
+            console.warn(`[Warning: ${baseUrl} does not support stream_options, token usage is not reported]`);
+            serversWithoutStreamOptions.add(baseUrl);
+            delete requestBody.stream_options;
+            response = await sendRequest();
+            errorBody = response.ok ? null : await response.text();
+        }
+
+        if (!response.ok) {
+            throw new OpenAIApiError(`OpenAI API error: ${response.status} ${response.statusText} - ${errorBody}`, {
+                status: response.status,
+                type: parseErrorType(errorBody),
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+            });
+        }
+
+        // Process the stream of Server-Sent Events (SSE); it ends with "data: [DONE]"
+        for await (const sseEvent of parseSSEStream(response.body)) {
+            if (sseEvent.data.trim() === '[DONE]') {
+                break;
+            }
+
+            let chunk;
+            try {
+                chunk = JSON.parse(sseEvent.data);
+            } catch (e) {
+                console.error('Error parsing SSE data:', sseEvent.data, e);
+                // Ignore faulty JSON data and continue
+                continue;
+            }
+
+            if (chunk.error) {
+                const error = new OpenAIApiError(
+                    `OpenAI API stream error: ${chunk.error.message || chunk.error.type || 'unknown error'}`,
+                    { type: chunk.error.type || chunk.error.code || null }
+                );
+                // An overload or rate limit error before any output can be retried like an HTTP error
+                if (!hasYielded && isRetryableError(error)) {
+                    throw error;
+                }
+                // Otherwise the error ends the stream as a regular event for query()
+                yield { type: 'error', error };
+                return;
+            }
+
+            if (!hasYielded) {
+                hasYielded = true;
+                yield { type: 'message_start' };
+                if (chunk.model) {
+                    yield { type: 'usage', model: chunk.model };
+                }
+            }
+
+            const choice = chunk.choices?.[0];
+            const delta = choice?.delta || {};
+            if (delta.content) {
+                yield { type: 'text_delta', index: 0, text: delta.content };
+            }
+
+            for (const toolCallDelta of delta.tool_calls || []) {
+                const streamIndex = toolCallDelta.index ?? toolCalls.size;
+                if (!toolCalls.has(streamIndex)) {
+                    // Some servers send no id; the history needs one to pair the call with its result
+                    const id = toolCallDelta.id || `call_${Date.now().toString(36)}_${streamIndex}`;
+                    toolCalls.set(streamIndex, id);
+                    yield { type: 'tool_use_start', index: streamIndex + 1, id, name: toolCallDelta.function?.name || '' };
+                }
+                if (toolCallDelta.function?.arguments) {
+                    yield { type: 'tool_use_delta', index: streamIndex + 1, partialJson: toolCallDelta.function.arguments };
+                }
+            }
+
+            if (choice?.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+
+            if (chunk.usage) {
+                // prompt_tokens includes the cached tokens, which are counted separately like for Claude
+                const cachedTokens = chunk.usage.prompt_tokens_details?.cached_tokens || 0;
+                yield {
+                    type: 'usage',
+                    inputTokens: (chunk.usage.prompt_tokens || 0) - cachedTokens,
+                    outputTokens: chunk.usage.completion_tokens || 0,
+                    cacheCreationInputTokens: 0,
+                    cacheReadInputTokens: cachedTokens,
+                };
+            }
+        }
+
+        // Without a finish reason the response was cut off
+        if (finishReason) {
+            yield { type: 'message_stop', stopReason: finishReason };
+        }
+    }
+
+    yield* streamWithRetries(startAttempt, { serviceName: 'OpenAI API', abortSignal });
+}
+
+module.exports = { queryOpenAI, OpenAIApiError };
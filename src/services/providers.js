@@ -0,0 +1,61 @@
+const { CLAUDE_MODEL, OPENAI_MODEL } = require('../config');
+const { settings, setSetting } = require('../settings.js');
+const { queryClaude } = require('./claude.js');
+const { queryOpenAI } = require('./openai.js');
+
+/**
+ * The LLM backends, selected with the 'provider' setting, with the model used when the 'model'
+ * setting is null. query is an async generator function (messages, tools, systemPrompt, abortSignal, model)
+ * that takes the conversation history in the format of the Claude Messages API and yields the same normalized events:
+ * - { type: 'message_start' }: a response begins
+ * - { type: 'text_delta', index, text }: text of the content block at index
+ * - { type: 'tool_use_start', index, id, name }: a tool call begins at index
+ * - { type: 'tool_use_delta', index, partialJson }: part of the JSON input of the tool call at index
+ * - { type: 'usage', model?, inputTokens?, outputTokens?, cacheCreationInputTokens?, cacheReadInputTokens? }:
+ *   the token counts known so far; later values replace earlier ones
+ * - { type: 'message_stop', stopReason }: the response is complete; without it, it was cut off
+ * - { type: 'status', message, retry }: a retry after a rate limit, overload or network error
+ * - { type: 'error', error }: an error that ends the stream
+ */
+const PROVIDERS = {
+    anthropic: { query: queryClaude, defaultModel: CLAUDE_MODEL },
+    openai: { query: queryOpenAI, defaultModel: OPENAI_MODEL },
+};
+
+/**
+ * Returns the model used for requests: the 'model' setting or the default of the provider.
+ * @returns {string} - The model id.
+ */
+function getModel() {
+    return settings.model || PROVIDERS[settings.provider]?.defaultModel;
+}
+
+/**
+ * Switches the model for all following requests.
+ * @param {string} model - The model id.
+ */
+function setModel(model) {
+    setSetting('model', model, '/model');
+}
+
+/**
+ * Sends a request to the configured provider.
+ * @param {Array<object>} messages - The conversation history.
+ * @param {Array<object>|null} tools - The available tools.
+ * @param {string|null} systemPrompt - The system prompt.
+ * @param {AbortSignal|null} abortSignal - A signal to abort the request.
+ * @yields {object} - The normalized events described at PROVIDERS.
+ */
+async function* streamMessage(messages, tools = null, systemPrompt = null, abortSignal = null) {
+    const provider = PROVIDERS[settings.provider];
+    if (!provider) {
+        throw new Error(`Unknown provider "${settings.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    yield* provider.query(messages, tools, systemPrompt, abortSignal, getModel());
+}
+
+module.exports = {
+    getModel,
+    setModel,
+    streamMessage,
+};
@@ -0,0 +1,174 @@
+const {
+    API_MAX_ATTEMPTS,
+    API_RETRY_BASE_DELAY_MS,
+    API_RETRY_MAX_DELAY_MS,
+} = require('../config');
+
+/**
+ * Error returned by an LLM API, either as HTTP error response or as error event in the stream.
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {object} details - { status, type, retryAfterMs }.
+     * @param {number|null} details.status - The HTTP status, null for errors sent in the stream.
+     * @param {string|null} details.type - The API error type, e.g. 'overloaded_error'.
+     * @param {number|null} details.retryAfterMs - The delay requested via retry-after.
+     */
+    constructor(message, { status = null, type = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.type = type;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// HTTP status codes that are worth another attempt (timeouts, rate limits, overload, server errors)
+const RETRYABLE_STATUS_CODES = [408, 409, 429];
+
+// Error types an API may send in the stream instead of an HTTP error
+const RETRYABLE_STREAM_ERROR_TYPES = ['overloaded_error', 'rate_limit_error', 'api_error', 'server_error'];
+
+// Error codes of network failures; fetch() reports them as the cause of a TypeError
+const RETRYABLE_NETWORK_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+];
+
+/**
+ * Checks if a failed request should be retried.
+ * @param {Error} error - The error of the failed attempt.
+ * @returns {boolean} - True for rate limits, overload, server and network errors.
+ */
+function isRetryableError(error) {
+    if (error instanceof ApiError) {
+        return error.status
+            ? RETRYABLE_STATUS_CODES.includes(error.status) || error.status >= 500
+            : RETRYABLE_STREAM_ERROR_TYPES.includes(error.type);
+    }
+    // Only network failures, not programming errors like "undefined is not a function"
+    const code = error.cause?.code || error.code;
+    return typeof code === 'string' && (RETRYABLE_NETWORK_ERROR_CODES.includes(code) || code.startsWith('UND_ERR_'));
+}
+
+/**
+ * Parses the retry-after header (seconds or HTTP date).
+ * @param {string|null} headerValue - The header value.
+ * @returns {number|null} - The delay in milliseconds or null.
+ */
+function parseRetryAfter(headerValue) {
+    if (!headerValue) return null;
+    const seconds = Number(headerValue);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Calculates the wait time before the next attempt: the server's retry-after if given (at most
+ * API_RETRY_MAX_DELAY_MS, so a bogus header can't stall the agent), otherwise exponential backoff with jitter.
+ * @param {number} attempt - The number of the failed attempt (1-based).
+ * @param {number|null} retryAfterMs - The delay requested by the server.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return Math.min(retryAfterMs, API_RETRY_MAX_DELAY_MS);
+    }
+    const exponentialDelay = Math.min(API_RETRY_MAX_DELAY_MS, API_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    // Jitter spreads out clients that failed at the same moment
+    return Math.round(exponentialDelay * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Waits for the given time, or until the signal aborts.
+ * @param {number} ms - The wait time in milliseconds.
+ * @param {AbortSignal|null} abortSignal - A signal to stop waiting.
+ * @returns {Promise<boolean>} - False if the wait was aborted.
+ */
+function sleep(ms, abortSignal = null) {
+    return new Promise((resolve) => {
+        if (abortSignal?.aborted) return resolve(false);
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        if (abortSignal) abortSignal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Describes why a request is retried, for the status message.
+ * @param {Error} error - The error of the failed attempt.
+ * @param {string} serviceName - The name of the API, e.g. 'Claude API'.
+ * @returns {string} - A short description.
+ */
+function describeRetryReason(error, serviceName) {
+    if (error.status === 429) return `Rate limited by the ${serviceName} (429)`;
+    if (error.status === 529) return `${serviceName} is overloaded (529)`;
+    if (error.status) return `${serviceName} error (${error.status})`;
+    if (error instanceof ApiError) return `${serviceName} stream error (${error.type})`;
+    return `Network error (${error.cause?.code || error.code || error.message})`;
+}
+
+/**
+ * Runs a streaming request and retries it with backoff on rate limits, overload, server and
+ * network errors, as long as no event has been yielded yet; a 'status' event announces each retry.
+ * Once an event was passed on, a retry would duplicate output, so the error is thrown instead.
+ * @param {function} startAttempt - Starts one attempt and returns an async iterable of events.
+ * @param {object} options - { serviceName, abortSignal }.
+ * @param {string} options.serviceName - The name of the API for messages, e.g. 'Claude API'.
+ * @param {AbortSignal|null} options.abortSignal - A signal to abort the request and the waiting.
+ * @yields {object} - The events of the successful attempt and 'status' events for retries.
+ */
+async function* streamWithRetries(startAttempt, { serviceName, abortSignal = null }) {
+    for (let attempt = 1; ; attempt++) {
+        let hasYielded = false;
+
+        try {
+            for await (const event of startAttempt()) {
+                hasYielded = true;
+                yield event;
+            }
+            return;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.error(`${serviceName} request aborted.`);
+                // Silently terminate the generator
+                return;
+            }
+
+            if (hasYielded || attempt >= API_MAX_ATTEMPTS || !isRetryableError(error)) {
+                console.error(`Error in ${serviceName} request:`, error);
+                // Throw the error further or handle it specifically
+                throw error;
+            }
+
+            const delayMs = getRetryDelay(attempt, error.retryAfterMs);
+            yield {
+                type: 'status',
+                message: `${describeRetryReason(error, serviceName)}, retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1} of ${API_MAX_ATTEMPTS})...`,
+                retry: { attempt: attempt + 1, maxAttempts: API_MAX_ATTEMPTS, delayMs, status: error.status || null },
+            };
+
+            if (!(await sleep(delayMs, abortSignal))) {
+                console.error(`${serviceName} request aborted.`);
+                return;
+            }
+        }
+    }
+}
+
+module.exports = {
+    ApiError,
+    isRetryableError,
+    parseRetryAfter,
+    streamWithRetries,
+};
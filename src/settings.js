@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { validateSchema } = require('./utils/schema.js');
+const {
+    LLM_PROVIDER,
+    MAX_TOKENS,
+    TEMPERATURE,
+    MAX_TOOL_CONCURRENCY,
+    MAX_TURNS_PER_QUERY,
+    MAX_TOOL_CALLS_PER_QUERY,
+    MAX_QUERY_DURATION_MS,
+    MAX_BUDGET_USD,
+    PERMISSION_MODE,
+} = require('./config.js');
+
+// Config files in the order they are applied; later layers override earlier ones
+const USER_CONFIG_FILE = '~/.agent/config.json';
+const PROJECT_CONFIG_FILE = path.join('.agent', 'config.json');
+
+// Environment variables are named after the setting: model -> AGENT_MODEL
+const ENV_PREFIX = 'AGENT_';
+
+// The settings with their defaults from config.js. 'userOnly' settings are ignored in the
+// project config file, so a cloned repository can't send the API key to another server
+// or let tools run without asking.
+const SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        provider: { type: 'string', enum: ['anthropic', 'openai'], default: LLM_PROVIDER, description: 'The LLM backend' },
+        model: { type: ['string', 'null'], default: null, description: 'The model id, null for the default of the provider' },
+        max_tokens: { type: 'integer', minimum: 1, default: MAX_TOKENS, description: 'Maximum number of tokens per response' },
+        temperature: { type: ['number', 'null'], minimum: 0, maximum: 1, default: TEMPERATURE, description: 'Sampling temperature, null for the API default' },
+        api_base_url: { type: ['string', 'null'], default: null, userOnly: true, description: 'Base URL of the API, null for the default of the provider' },
+        max_tool_concurrency: { type: 'integer', minimum: 1, default: MAX_TOOL_CONCURRENCY, description: 'Read-only tools running in parallel' },
+        max_turns_per_query: { type: 'integer', minimum: 1, default: MAX_TURNS_PER_QUERY, description: 'Requests to Claude per prompt' },
+        max_tool_calls_per_query: { type: 'integer', minimum: 1, default: MAX_TOOL_CALLS_PER_QUERY, description: 'Tool calls per prompt' },
+        max_query_duration_ms: { type: 'integer', minimum: 1000, default: MAX_QUERY_DURATION_MS, description: 'Duration of a prompt in milliseconds' },
+        max_budget_usd: { type: ['number', 'null'], minimum: 0, default: MAX_BUDGET_USD, description: 'Spending limit of a session in USD, null for none' },
+        permission_mode: { type: 'string', enum: ['ask', 'deny'], default: PERMISSION_MODE, description: 'Ask before tools run, or deny what is not allowed' },
+        allowed_tools: { type: 'array', items: { type: 'string' }, default: [], userOnly: true, description: 'Tools that run without asking' },
+    },
+};
+
+// The effective settings, read by the modules whenever they need a value
+const settings = {};
+
+// Where each effective value comes from, e.g. 'default', '.agent/config.json' or 'AGENT_MODEL'
+const settingSources = new Map();
+
+// Problems found by the last loadSettings(), shown by /config
+let settingWarnings = [];
+
+/**
+ * Resets all settings to their defaults.
+ */
+function resetSettings() {
+    for (const [key, schema] of Object.entries(SETTINGS_SCHEMA.properties)) {
+        settings[key] = Array.isArray(schema.default) ? [...schema.default] : schema.default;
+        settingSources.set(key, 'default');
+    }
+}
+
+/**
+ * Resolves the path of a config file; "~" stands for the home directory.
+ * @param {string} configuredPath - The path, e.g. USER_CONFIG_FILE.
+ * @returns {string} - The absolute path.
+ */
+function resolveConfigPath(configuredPath) {
+    if (configuredPath.startsWith('~/')) {
+        return path.join(os.homedir(), configuredPath.slice(2));
+    }
+    return path.resolve(process.cwd(), configuredPath);
+}
+
+/**
+ * Converts the text of an environment variable or --set option to the type of a setting.
+ * Text that doesn't fit is returned unchanged, so validation reports it.
+ * @param {string} text - The text.
+ * @param {object} schema - The schema of the setting.
+ * @returns {any} - The converted value.
+ */
+function parseSettingText(text, schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const trimmed = text.trim();
+    if (types.includes('null') && trimmed === 'null') return null;
+    if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+        return Number(trimmed);
+    }
+    if (types.includes('boolean') && (trimmed === 'true' || trimmed === 'false')) return trimmed === 'true';
+    if (types.includes('array')) return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+    return text;
+}
+
+/**
+ * Validates a value and makes it effective. Unknown keys and invalid values are reported and skipped,
+ * so the value of the previous layer stays in effect.
+ * @param {string} key - The setting name.
+ * @param {any} value - The value; text is converted first if fromText is set.
+ * @param {string} source - Where the value comes from.
+ * @param {object} options - { fromText, isProjectFile }.
+ * @param {boolean} options.fromText - True for environment variables and --set options.
+ * @param {boolean} options.isProjectFile - True for the project config file.
+ */
+function applySetting(key, value, source, { fromText = false, isProjectFile = false } = {}) {
+    const schema = SETTINGS_SCHEMA.properties[key];
+    if (!schema) {
+        settingWarnings.push(`${source}: unknown setting "${key}"`);
+        return;
+    }
+    if (isProjectFile && schema.userOnly) {
+        settingWarnings.push(`${source}: "${key}" can only be set in ${USER_CONFIG_FILE}, the environment or on the command line`);
+        return;
+    }
+
+    const parsedValue = fromText && typeof value === 'string' ? parseSettingText(value, schema) : value;
+    const problems = validateSchema(parsedValue, schema, key);
+    if (problems.length > 0) {
+        settingWarnings.push(`${source}: ${problems.join(', ')}`);
+        return;
+    }
+
+    settings[key] = parsedValue;
+    settingSources.set(key, source);
+}
+
+/**
+ * Applies the settings of a config file, if it exists.
+ * @param {string} configuredPath - The path of the file, also used as source name.
+ * @param {boolean} isProjectFile - True for the project config file.
+ */
+async function applyConfigFile(configuredPath, isProjectFile) {
+    let content;
+    try {
+        content = await fs.readFile(resolveConfigPath(configuredPath), 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            settingWarnings.push(`${configuredPath}: could not be read: ${error.message}`);
+        }
+        return;
+    }
+
+    let values;
+    try {
+        values = JSON.parse(content);
+    } catch (error) {
+        settingWarnings.push(`${configuredPath}: invalid JSON: ${error.message}`);
+        return;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        settingWarnings.push(`${configuredPath}: must contain a JSON object`);
+        return;
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+        applySetting(key, value, configuredPath, { isProjectFile });
+    }
+}
+
+/**
+ * Loads the settings in layers: defaults from config.js, the user config file, the project
+ * config file (.agent/config.json), environment variables (AGENT_<SETTING>) and the command line.
+ * @param {object} cliSettings - Settings from command line options; string values are converted like environment variables.
+ * @returns {Promise<Array<string>>} - Problems found (unknown keys, invalid values), empty if all is fine.
+ */
+async function loadSettings(cliSettings = {}) {
+    settingWarnings = [];
+    resetSettings();
+
+    await applyConfigFile(USER_CONFIG_FILE, false);
+    await applyConfigFile(PROJECT_CONFIG_FILE, true);
+
+    for (const key of Object.keys(SETTINGS_SCHEMA.properties)) {
+        const envName = `${ENV_PREFIX}${key.toUpperCase()}`;
+        if (process.env[envName] !== undefined && process.env[envName] !== '') {
+            applySetting(key, process.env[envName], envName, { fromText: true });
+        }
+    }
+
+    for (const [key, value] of Object.entries(cliSettings)) {
+        applySetting(key, value, 'command line', { fromText: true });
+    }
+
+    return settingWarnings;
+}
+
+/**
+ * Changes a setting while the agent runs, e.g. the model with /model.
+ * @param {string} key - The setting name.
+ * @param {any} value - The new value.
+ * @param {string} source - Where the change comes from, shown by /config.
+ * @throws {Error} If the setting is unknown or the value is invalid.
+ */
+function setSetting(key, value, source) {
+    const schema = SETTINGS_SCHEMA.properties[key];
+    if (!schema) {
+        throw new Error(`Unknown setting "${key}"`);
+    }
+    const problems = validateSchema(value, schema, key);
+    if (problems.length > 0) {
+        throw new Error(problems.join(', '));
+    }
+    settings[key] = value;
+    settingSources.set(key, source);
+}
+
+/**
+ * Returns where the effective value of a setting comes from.
+ * @param {string} key - The setting name.
+ * @returns {string|undefined} - 'default', a config file, an environment variable, 'command line' or a command.
+ */
+function getSettingSource(key) {
+    return settingSources.get(key);
+}
+
+/**
+ * Returns the problems found by the last loadSettings().
+ * @returns {Array<string>} - The warnings.
+ */
+function getSettingWarnings() {
+    return settingWarnings;
+}
+
+resetSettings();
+
+module.exports = {
+    SETTINGS_SCHEMA,
+    USER_CONFIG_FILE,
+    PROJECT_CONFIG_FILE,
+    settings,
+    loadSettings,
+    setSetting,
+    getSettingSource,
+    getSettingWarnings,
+};
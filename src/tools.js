@@ -1,24 +1,193 @@
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
+const { runShellCommand } = require('./utils/shell.js');
+const { parseUnifiedDiff, applyHunks } = require('./utils/diff.js');
+const { globToRegExp, matchesGlob } = require('./utils/glob.js');
+const { walkWorkspaceFiles, isInsideWorkspace, isBinaryContent, BINARY_CHECK_BYTES } = require('./utils/files.js');
+const {
+    COMMAND_TIMEOUT_MS,
+    MAX_COMMAND_TIMEOUT_MS,
+    MAX_COMMAND_OUTPUT_LENGTH,
+    MAX_VIEW_LINES,
+    MAX_VIEW_BYTES,
+    MAX_VIEW_FILE_SIZE,
+    MAX_IMAGE_BYTES,
+    MAX_SEARCH_RESULTS,
+    MAX_SEARCH_FILE_SIZE,
+} = require('./config.js');
+
+// Image types viewFile returns as image blocks, by file extension
+const IMAGE_MEDIA_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+};
+
+// Longer lines are shortened in viewFile output
+const MAX_VIEW_LINE_LENGTH = 2000;
+
+// Matching lines are shortened to this length in searchFiles results
+const MAX_MATCH_LINE_LENGTH = 250;
+
+/**
+ * Formats a range of lines with line numbers (like "cat -n") for viewFile.
+ * The output stops at MAX_VIEW_BYTES; a notice then tells the model where to continue.
+ * @param {string} content - The file content.
+ * @param {number} offset - The first line to show (1-based).
+ * @param {number} limit - The maximum number of lines to show.
+ * @returns {string} - The numbered lines.
+ */
+function formatNumberedLines(content, offset, limit) {
+    if (content === '') {
+        return '(The file is empty.)';
+    }
+
+    const lines = content.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') {
+        lines.pop(); // Final newline
+    }
+
+    const totalLines = lines.length;
+    const start = Math.max(1, Math.floor(offset));
+    if (start > totalLines) {
+        return `Error: offset ${offset} is beyond the end of the file (${totalLines} lines).`;
+    }
+    const end = Math.min(totalLines, start + Math.max(1, Math.floor(limit)) - 1);
+    return formatLineRange(lines.slice(start - 1, end), start, totalLines, end < totalLines);
+}
+
+/**
+ * Numbers the lines of a range and adds a notice if the file continues after the shown lines.
+ * @param {Array<string>} rangeLines - The lines of the range, starting at line start.
+ * @param {number} start - The number of the first line (1-based).
+ * @param {number|null} totalLines - The number of lines of the file, null if unknown.
+ * @param {boolean} hasMoreLines - True if the file continues after the range.
+ * @returns {string} - The numbered lines.
+ */
+function formatLineRange(rangeLines, start, totalLines, hasMoreLines) {
+    const numberWidth = String(start + rangeLines.length - 1).length;
+
+    const output = [];
+    let byteCount = 0;
+    let lastShown = start - 1;
+    for (let i = 0; i < rangeLines.length; i++) {
+        let line = rangeLines[i];
+        if (line.length > MAX_VIEW_LINE_LENGTH) {
+            line = `${line.slice(0, MAX_VIEW_LINE_LENGTH)}... [line shortened]`;
+        }
+        const formattedLine = `${String(start + i).padStart(numberWidth)}\t${line}`;
+
+        byteCount += Buffer.byteLength(formattedLine) + 1;
+        if (byteCount > MAX_VIEW_BYTES && output.length > 0) break;
+        output.push(formattedLine);
+        lastShown = start + i;
+    }
+
+    if (hasMoreLines || lastShown < start + rangeLines.length - 1) {
+        const ofTotal = totalLines === null ? '' : ` of ${totalLines}`;
+        output.push(`\n[Showing lines ${start}-${lastShown}${ofTotal}. Call viewFile with offset ${lastShown + 1} to read more.]`);
+    }
+    return output.join('\n');
+}
+
+/**
+ * Reads a range of lines from a file without loading the whole file, for files above MAX_VIEW_FILE_SIZE.
+ * Reading stops after the range; lines are kept only up to the length viewFile shows.
+ * @param {string} absolutePath - The path of the file.
+ * @param {number} start - The first line to read (1-based).
+ * @param {number} count - The maximum number of lines to read.
+ * @returns {Promise<object>} - { lines, hasMoreLines, totalLines } with totalLines null if reading stopped early.
+ */
+async function readLineRange(absolutePath, start, count) {
+    const lines = [];
+    const end = start + count - 1;
+    let lineNumber = 1;
+    let current = '';
+    let hasContent = false; // The current line has at least one character
+
+    const stream = createReadStream(absolutePath, { encoding: 'utf-8' });
+    try {
+        for await (const chunk of stream) {
+            let position = 0;
+            while (position < chunk.length) {
+                if (lineNumber > end) {
+                    return { lines, hasMoreLines: true, totalLines: null };
+                }
+                const newlineIndex = chunk.indexOf('\n', position);
+                const pieceEnd = newlineIndex === -1 ? chunk.length : newlineIndex;
+                // One character more than shown, so the line is marked as shortened
+                if (lineNumber >= start && current.length <= MAX_VIEW_LINE_LENGTH) {
+                    current += chunk.slice(position, Math.min(pieceEnd, position + MAX_VIEW_LINE_LENGTH + 1 - current.length));
+                }
+                hasContent = hasContent || pieceEnd > position;
+                if (newlineIndex === -1) break;
+
+                if (lineNumber >= start) {
+                    lines.push(current.replace(/\r$/, ''));
+                }
+                current = '';
+                hasContent = false;
+                lineNumber++;
+                position = newlineIndex + 1;
+            }
+        }
+    } finally {
+        stream.destroy();
+    }
+
+    // Last line without a final newline
+    if (hasContent) {
+        if (lineNumber >= start) lines.push(current.replace(/\r$/, ''));
+        lineNumber++;
+    }
+    return { lines, hasMoreLines: false, totalLines: lineNumber - 1 };
+}
+
+/**
+ * Reads the first bytes of a file, enough to tell text from binary content.
+ * @param {string} absolutePath - The path of the file.
+ * @returns {Promise<Buffer>} - The first bytes.
+ */
+async function readFileStart(absolutePath) {
+    const handle = await fs.open(absolutePath, 'r');
+    try {
+        const buffer = Buffer.alloc(BINARY_CHECK_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, BINARY_CHECK_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
 
 // --- Tool Definitions ---
 
 const viewFileTool = {
     name: "viewFile",
-    description: "Reads the content of a file in the workspace. Returns the file content as a string.",
+    description: "Reads a file in the workspace. Text is returned with a line number and a tab before each line (not part of the file), at most 2000 lines or 100 KB per call; use offset and limit to page through larger files. Images (PNG, JPEG, GIF, WebP) are returned as images. Binary files are not shown.",
     input_schema: {
         type: "object",
         properties: {
             filePath: {
                 type: "string",
                 description: "The relative path to the file in the workspace."
+            },
+            offset: {
+                type: "integer",
+                description: "Optional line number to start reading at (1-based). Defaults to 1."
+            },
+            limit: {
+                type: "integer",
+                description: "Optional maximum number of lines to read. Defaults to 2000."
             }
         },
         required: ["filePath"]
     },
     isReadOnly: () => true, // This tool doesn't change any state
     needsPermission: (params) => true, // Reading now also requires permission
-    async call({ filePath }, { requestPermission }) {
+    async call({ filePath, offset = 1, limit = MAX_VIEW_LINES }, { requestPermission }) {
         // Security check: Ensure the path is relative and doesn't go outside the workspace
         const absolutePath = path.resolve(process.cwd(), filePath);
         if (!absolutePath.startsWith(process.cwd())) {
@@ -32,8 +201,39 @@ const viewFileTool = {
         }
 
         try {
-            const content = await fs.readFile(absolutePath, 'utf-8');
-            return content;
+            const stats = await fs.stat(absolutePath);
+            if (stats.isDirectory()) {
+                return `Error: ${filePath} is a directory. Use listDirectory instead.`;
+            }
+
+            // Images are sent as image blocks, so Claude can see them
+            const mediaType = IMAGE_MEDIA_TYPES[path.extname(filePath).toLowerCase()];
+            if (mediaType) {
+                if (stats.size > MAX_IMAGE_BYTES) {
+                    return `Error: The image ${filePath} is too large (${stats.size} bytes, maximum ${MAX_IMAGE_BYTES} bytes).`;
+                }
+                const buffer = await fs.readFile(absolutePath);
+                return [
+                    { type: 'text', text: `Image ${filePath} (${buffer.length} bytes):` },
+                    { type: 'image', source: { type: 'base64', media_type: mediaType, data: buffer.toString('base64') } }
+                ];
+            }
+
+            if (isBinaryContent(await readFileStart(absolutePath))) {
+                return `${filePath} is a binary file (${stats.size} bytes) and can't be shown as text.`;
+            }
+
+            if (stats.size <= MAX_VIEW_FILE_SIZE) {
+                return formatNumberedLines(await fs.readFile(absolutePath, 'utf-8'), offset, limit);
+            }
+
+            // Large files are only read up to the requested lines
+            const start = Math.max(1, Math.floor(offset));
+            const { lines, hasMoreLines, totalLines } = await readLineRange(absolutePath, start, Math.max(1, Math.floor(limit)));
+            if (lines.length === 0) {
+                return `Error: offset ${offset} is beyond the end of the file (${totalLines} lines).`;
+            }
+            return formatLineRange(lines, start, totalLines, hasMoreLines);
         } catch (error) {
             if (error.code === 'ENOENT') {
                  return `Error: File not found at ${filePath}`;
@@ -88,6 +288,164 @@ const listDirectoryTool = {
     }
 };
 
+const searchFilesTool = {
+    name: "searchFiles",
+    description: "Searches the files of the workspace for a regular expression and returns matching lines as 'file:line:text'. Files ignored by .gitignore and binary files are skipped. Use it to find where something is defined or used.",
+    input_schema: {
+        type: "object",
+        properties: {
+            pattern: {
+                type: "string",
+                description: "The regular expression to search for (JavaScript syntax), e.g. 'function\\s+query'."
+            },
+            dirPath: {
+                type: "string",
+                description: "Optional relative path of the directory to search in. Defaults to the workspace root."
+            },
+            include: {
+                type: "array",
+                items: { type: "string" },
+                description: "Optional globs; only matching files are searched, e.g. ['*.js', 'src/**/*.{ts,tsx}']."
+            },
+            exclude: {
+                type: "array",
+                items: { type: "string" },
+                description: "Optional globs of files to skip, e.g. ['*.test.js']."
+            },
+            ignoreCase: {
+                type: "boolean",
+                description: "Optional, search case-insensitively. Defaults to false."
+            }
+        },
+        required: ["pattern"]
+    },
+    isReadOnly: () => true, // This tool doesn't change any state
+    needsPermission: (params) => true, // Searching reads files, so it requires permission
+    async call({ pattern, dirPath = '.', include = [], exclude = [], ignoreCase = false }, { requestPermission, abortSignal = null }) {
+        // Security check: The search may only cover the workspace
+        const absolutePath = path.resolve(process.cwd(), dirPath);
+        if (!isInsideWorkspace(absolutePath)) {
+            throw new Error("Access outside the workspace is not allowed.");
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(pattern, ignoreCase ? 'i' : '');
+        } catch (error) {
+            return `Error: ${error.message}`;
+        }
+
+        // Permission check
+        const hasPerm = await requestPermission(this.name, { dirPath, pattern });
+        if (!hasPerm) {
+            return "Error: No permission to search the files.";
+        }
+
+        const matches = [];
+        let isTruncated = false;
+        try {
+            for await (const file of walkWorkspaceFiles(dirPath, abortSignal)) {
+                if (include.length > 0 && !include.some(glob => matchesGlob(file.relativePath, glob))) continue;
+                if (exclude.some(glob => matchesGlob(file.relativePath, glob))) continue;
+
+                const stats = await fs.stat(file.absolutePath);
+                if (stats.size > MAX_SEARCH_FILE_SIZE) continue;
+                const buffer = await fs.readFile(file.absolutePath);
+                if (isBinaryContent(buffer)) continue;
+
+                const lines = buffer.toString('utf-8').split(/\r?\n/);
+                for (let i = 0; i < lines.length; i++) {
+                    if (!regex.test(lines[i])) continue;
+                    if (matches.length >= MAX_SEARCH_RESULTS) {
+                        isTruncated = true;
+                        break;
+                    }
+                    const line = lines[i].length > MAX_MATCH_LINE_LENGTH ? `${lines[i].slice(0, MAX_MATCH_LINE_LENGTH)}...` : lines[i];
+                    matches.push(`${file.relativePath}:${i + 1}:${line}`);
+                }
+                if (isTruncated) break;
+            }
+        } catch (error) {
+            console.error(`Error searching in ${dirPath}:`, error);
+            return `Error searching files: ${error.message}`;
+        }
+
+        if (matches.length === 0) {
+            return `No matches found for /${pattern}/ in "${dirPath}".`;
+        }
+        if (isTruncated) {
+            matches.push(`[Results truncated after ${MAX_SEARCH_RESULTS} matches. Narrow the search with dirPath, include or a more specific pattern.]`);
+        }
+        return matches.join('\n');
+    }
+};
+
+const findFilesTool = {
+    name: "findFiles",
+    description: "Finds files in the workspace whose path matches a glob pattern, e.g. '**/*.test.js' or 'src/**/config.*'. A pattern without '/' matches file names in any directory. Files ignored by .gitignore are skipped.",
+    input_schema: {
+        type: "object",
+        properties: {
+            pattern: {
+                type: "string",
+                description: "The glob pattern. Supports '**', '*', '?' and '{a,b}'."
+            },
+            dirPath: {
+                type: "string",
+                description: "Optional relative path of the directory to search in; the pattern is matched relative to it. Defaults to the workspace root."
+            }
+        },
+        required: ["pattern"]
+    },
+    isReadOnly: () => true, // This tool doesn't change any state
+    needsPermission: (params) => true, // Like listDirectory, finding files requires permission
+    async call({ pattern, dirPath = '.' }, { requestPermission, abortSignal = null }) {
+        // Security check: The search may only cover the workspace
+        const absolutePath = path.resolve(process.cwd(), dirPath);
+        if (!isInsideWorkspace(absolutePath)) {
+            throw new Error("Access outside the workspace is not allowed.");
+        }
+
+        // Permission check
+        const hasPerm = await requestPermission(this.name, { dirPath, pattern });
+        if (!hasPerm) {
+            return "Error: No permission to list the files.";
+        }
+
+        // Like in .gitignore, a pattern without a slash matches the file name
+        const cleanPattern = pattern.replace(/^\.?\//, '');
+        const regex = globToRegExp(cleanPattern);
+        const matchesName = !cleanPattern.includes('/');
+        const basePath = path.relative(process.cwd(), absolutePath).split(path.sep).join('/');
+
+        const found = [];
+        let isTruncated = false;
+        try {
+            for await (const file of walkWorkspaceFiles(dirPath, abortSignal)) {
+                const pathInDir = basePath ? file.relativePath.slice(basePath.length + 1) : file.relativePath;
+                if (!regex.test(matchesName ? pathInDir.split('/').pop() : pathInDir)) continue;
+
+                if (found.length >= MAX_SEARCH_RESULTS) {
+                    isTruncated = true;
+                    break;
+                }
+                found.push(file.relativePath);
+            }
+        } catch (error) {
+            console.error(`Error finding files in ${dirPath}:`, error);
+            return `Error finding files: ${error.message}`;
+        }
+
+        if (found.length === 0) {
+            return `No files found matching "${pattern}" in "${dirPath}".`;
+        }
+        if (isTruncated) {
+            found.push(`[Results truncated after ${MAX_SEARCH_RESULTS} files. Use a more specific pattern or dirPath.]`);
+        }
+        return found.join('\n');
+    }
+};
+
 const editFileTool = {
     name: "editFile",
     description: "Edits a file in the workspace. Replaces the content of the file with the specified content or creates the file if it doesn't exist.",
@@ -114,8 +472,10 @@ const editFileTool = {
             throw new Error("Access outside the workspace is not allowed.");
         }
 
-        // Permission check (will be implemented later)
-        const hasPerm = await requestPermission(this.name, { filePath });
+        // Permission check. The prompt shows a diff and lets the user revise the content in their editor,
+        // so the content to write is read back from the permission parameters.
+        const permissionParams = { filePath, content };
+        const hasPerm = await requestPermission(this.name, permissionParams);
         if (!hasPerm) {
             return "Error: No permission to edit the file.";
         }
@@ -123,7 +483,10 @@ const editFileTool = {
         try {
             // Ensure the directory exists
             await fs.mkdir(path.dirname(absolutePath), { recursive: true });
-            await fs.writeFile(absolutePath, content, 'utf-8');
+            await fs.writeFile(absolutePath, permissionParams.content, 'utf-8');
+            if (permissionParams.content !== content) {
+                return `File ${filePath} successfully edited. The user revised the proposed content before saving; use viewFile to see the final version.`;
+            }
             return `File ${filePath} successfully edited.`;
         } catch (error) {
             console.error(`Error writing to file ${filePath}:`, error);
@@ -132,15 +495,284 @@ const editFileTool = {
     }
 };
 
+const replaceInFileTool = {
+    name: "replaceInFile",
+    description: "Replaces an exact string in a file of the workspace. The old string must occur exactly once in the file; include enough surrounding lines to make it unique. Prefer this over editFile for changes to existing files.",
+    input_schema: {
+        type: "object",
+        properties: {
+            filePath: {
+                type: "string",
+                description: "The relative path to the file in the workspace."
+            },
+            oldString: {
+                type: "string",
+                description: "The exact text to replace, including whitespace and indentation."
+            },
+            newString: {
+                type: "string",
+                description: "The text to insert instead of oldString."
+            }
+        },
+        required: ["filePath", "oldString", "newString"]
+    },
+    isReadOnly: () => false, // This tool changes state
+    needsPermission: (params) => true, // Editing requires permission
+    async call({ filePath, oldString, newString }, { requestPermission }) {
+        // Security check
+        const absolutePath = path.resolve(process.cwd(), filePath);
+        if (!isInsideWorkspace(absolutePath)) {
+            throw new Error("Access outside the workspace is not allowed.");
+        }
+
+        if (!oldString) {
+            return "Error: oldString must not be empty. Use editFile to create a new file.";
+        }
+        if (oldString === newString) {
+            return "Error: oldString and newString are identical, nothing to replace.";
+        }
+
+        // Permission check
+        const hasPerm = await requestPermission(this.name, { filePath });
+        if (!hasPerm) {
+            return "Error: No permission to edit the file.";
+        }
+
+        try {
+            const content = await fs.readFile(absolutePath, 'utf-8');
+
+            const occurrences = content.split(oldString).length - 1;
+            if (occurrences === 0) {
+                return `Error: oldString was not found in ${filePath}. Read the file with viewFile and copy the text exactly, including whitespace and indentation. The file was not changed.`;
+            }
+            if (occurrences > 1) {
+                return `Error: oldString was found ${occurrences} times in ${filePath}. Include more surrounding lines so that it matches exactly once. The file was not changed.`;
+            }
+
+            // Use a replacer function so "$" sequences in newString are inserted literally
+            await fs.writeFile(absolutePath, content.replace(oldString, () => newString), 'utf-8');
+            return `File ${filePath} successfully edited.`;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return `Error: File not found at ${filePath}`;
+            }
+            console.error(`Error editing file ${filePath}:`, error);
+            return `Error editing file: ${error.message}`;
+        }
+    }
+};
+
+const applyPatchTool = {
+    name: "applyPatch",
+    description: "Applies a unified diff to one or more files in the workspace. Context and removed lines must match the files exactly. If any hunk does not apply, no file is changed. Use '--- /dev/null' to create and '+++ /dev/null' to delete a file; different paths in '--- a/old' and '+++ b/new' rename it.",
+    input_schema: {
+        type: "object",
+        properties: {
+            patch: {
+                type: "string",
+                description: "The unified diff with '--- a/file' and '+++ b/file' headers and '@@ -l,s +l,s @@' hunks. Paths are relative to the workspace."
+            }
+        },
+        required: ["patch"]
+    },
+    isReadOnly: () => false, // This tool changes state
+    needsPermission: (params) => true, // Editing requires permission
+    async call({ patch }, { requestPermission }) {
+        let filePatches;
+        try {
+            filePatches = parseUnifiedDiff(patch);
+        } catch (error) {
+            return `Error: Could not parse the patch: ${error.message}`;
+        }
+
+        // Security check for every file in the patch
+        const resolveWorkspacePath = (filePath) => {
+            const absolutePath = path.resolve(process.cwd(), filePath);
+            if (!isInsideWorkspace(absolutePath)) {
+                throw new Error("Access outside the workspace is not allowed.");
+            }
+            return absolutePath;
+        };
+        const changes = filePatches.map(filePatch => ({
+            filePatch,
+            oldAbsolutePath: filePatch.oldPath ? resolveWorkspacePath(filePatch.oldPath) : null,
+            newAbsolutePath: filePatch.newPath ? resolveWorkspacePath(filePatch.newPath) : null,
+        }));
+
+        // Permission check for every file, including both sides of a rename
+        const touchedPaths = [...new Set(filePatches.flatMap(filePatch => [filePatch.oldPath, filePatch.newPath]).filter(Boolean))];
+        for (const filePath of touchedPaths) {
+            const hasPerm = await requestPermission(this.name, { filePath });
+            if (!hasPerm) {
+                return `Error: No permission to edit the file ${filePath}. No files were changed.`;
+            }
+        }
+
+        // Compute all results first, so a failing hunk leaves every file untouched.
+        // Sections are applied one after another against the running result, so several
+        // sections for the same file and renames see the changes of the earlier ones.
+        const results = new Map(); // absolutePath -> { filePath, content } with content null for deleted files
+        const readCurrent = async (absolutePath) => {
+            if (results.has(absolutePath)) {
+                return results.get(absolutePath).content;
+            }
+            return fs.readFile(absolutePath, 'utf-8').catch(error => {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            });
+        };
+
+        const failures = [];
+        for (const { filePatch, oldAbsolutePath, newAbsolutePath } of changes) {
+            const filePath = filePatch.newPath || filePatch.oldPath;
+            try {
+                let content = '';
+                if (oldAbsolutePath) {
+                    content = await readCurrent(oldAbsolutePath);
+                    if (content === null) {
+                        failures.push(`${filePatch.oldPath}: file not found.`);
+                        continue;
+                    }
+                }
+                const isRename = oldAbsolutePath && newAbsolutePath && oldAbsolutePath !== newAbsolutePath;
+                if ((!oldAbsolutePath || isRename) && await readCurrent(newAbsolutePath) !== null) {
+                    failures.push(`${filePath}: the patch ${isRename ? `renames ${filePatch.oldPath} to it` : 'creates the file'}, but it already exists.`);
+                    continue;
+                }
+
+                const newContent = applyHunks(content, filePatch.hunks);
+                if (!newAbsolutePath) {
+                    if (newContent !== '') {
+                        failures.push(`${filePath}: the patch deletes the file, but not all of its lines are removed.`);
+                        continue;
+                    }
+                    results.set(oldAbsolutePath, { filePath: filePatch.oldPath, content: null });
+                    continue;
+                }
+                if (isRename) {
+                    results.set(oldAbsolutePath, { filePath: filePatch.oldPath, content: null });
+                }
+                results.set(newAbsolutePath, { filePath: filePatch.newPath, content: newContent });
+            } catch (error) {
+                failures.push(`${filePath}: ${error.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            return `Error: The patch does not apply cleanly. No files were changed.\n${failures.join('\n')}\nRead the current file content with viewFile and create the patch again.`;
+        }
+
+        try {
+            for (const [absolutePath, { content }] of results) {
+                if (content === null) {
+                    // A file created and deleted by the same patch never existed
+                    await fs.unlink(absolutePath).catch(error => {
+                        if (error.code !== 'ENOENT') throw error;
+                    });
+                } else {
+                    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+                    await fs.writeFile(absolutePath, content, 'utf-8');
+                }
+            }
+            const summaries = changes.map(({ filePatch, oldAbsolutePath, newAbsolutePath }) =>
+                (oldAbsolutePath && newAbsolutePath && oldAbsolutePath !== newAbsolutePath
+                    ? `${filePatch.oldPath} -> ${filePatch.newPath}`
+                    : filePatch.newPath || filePatch.oldPath));
+            return `Patch successfully applied to ${[...new Set(summaries)].join(', ')}.`;
+        } catch (error) {
+            console.error('Error applying patch:', error);
+            return `Error applying patch: ${error.message}`;
+        }
+    }
+};
+
+const runCommandTool = {
+    name: "runCommand",
+    description: "Runs a shell command in the workspace and returns its exit code, stdout and stderr. Long output is truncated. Use it for builds, tests, git and similar command line tasks.",
+    input_schema: {
+        type: "object",
+        properties: {
+            command: {
+                type: "string",
+                description: "The shell command to execute, e.g. 'npm test'."
+            },
+            cwd: {
+                type: "string",
+                description: "Optional relative path to the directory the command runs in. Defaults to the workspace root."
+            },
+            timeout: {
+                type: "number",
+                description: `Optional timeout in milliseconds (default ${COMMAND_TIMEOUT_MS}, maximum ${MAX_COMMAND_TIMEOUT_MS}).`
+            }
+        },
+        required: ["command"]
+    },
+    isReadOnly: () => false, // Commands can change any state
+    needsPermission: (params) => true, // Every command requires permission
+    async call({ command, cwd = '.', timeout }, { requestPermission, abortSignal = null, reportProgress = null }) {
+        // Security check: The command may only start inside the workspace
+        const absolutePath = path.resolve(process.cwd(), cwd);
+        if (!isInsideWorkspace(absolutePath)) {
+            throw new Error("Access outside the workspace is not allowed.");
+        }
+
+        // Permission check
+        const hasPerm = await requestPermission(this.name, { command });
+        if (!hasPerm) {
+            return "Error: No permission to run the command.";
+        }
+
+        const timeoutMs = Math.min(timeout > 0 ? timeout : COMMAND_TIMEOUT_MS, MAX_COMMAND_TIMEOUT_MS);
+
+        try {
+            const result = await runShellCommand(command, {
+                cwd: absolutePath,
+                timeoutMs,
+                maxOutputLength: MAX_COMMAND_OUTPUT_LENGTH,
+                abortSignal,
+                // The latest output line is shown while the command runs
+                onOutput: reportProgress ? (text) => {
+                    const lastLine = text.trim().split(/\r?\n/).pop();
+                    if (lastLine) reportProgress(lastLine);
+                } : null,
+            });
+
+            const lines = [];
+            if (result.timedOut) {
+                lines.push(`Command timed out after ${timeoutMs}ms and was stopped.`);
+            } else if (result.aborted) {
+                lines.push('Command was aborted by the user.');
+            }
+            lines.push(`Exit code: ${result.exitCode === null ? `none (terminated by ${result.signal})` : result.exitCode}`);
+            lines.push('--- stdout ---');
+            lines.push(result.stdout + (result.stdoutTruncated ? `\n[stdout truncated after ${MAX_COMMAND_OUTPUT_LENGTH} characters]` : ''));
+            lines.push('--- stderr ---');
+            lines.push(result.stderr + (result.stderrTruncated ? `\n[stderr truncated after ${MAX_COMMAND_OUTPUT_LENGTH} characters]` : ''));
+            return lines.join('\n');
+        } catch (error) {
+            console.error(`Error running command ${command}:`, error);
+            return `Error running command: ${error.message}`;
+        }
+    }
+};
+
 // --- Tool Management ---
 
 const availableTools = [
     viewFileTool,
     listDirectoryTool,
+    searchFilesTool,
+    findFilesTool,
     editFileTool,
-    // Add more tools here
+    replaceInFileTool,
+    applyPatchTool,
+    runCommandTool,
+    // More tools are added by plugins, see registerTool()
 ];
 
+// Where each tool comes from: 'built-in', a plugin file or an npm package
+const toolSources = new Map(availableTools.map(tool => [tool.name, 'built-in']));
+
 /**
  * Finds a tool by its name.
  * @param {string} toolName - The name of the tool.
@@ -150,6 +782,65 @@ function findToolByName(toolName) {
     return availableTools.find(tool => tool.name === toolName);
 }
 
+/**
+ * Returns where a tool was loaded from.
+ * @param {string} toolName - The name of the tool.
+ * @returns {string|undefined} - 'built-in', the plugin path or package name.
+ */
+function getToolSource(toolName) {
+    return toolSources.get(toolName);
+}
+
+/**
+ * Checks that an object has the shape of a tool like viewFileTool.
+ * @param {any} tool - The object exported by a plugin.
+ * @returns {Array<string>} - The problems found, empty if the tool is valid.
+ */
+function validateToolShape(tool) {
+    if (!tool || typeof tool !== 'object') {
+        return ['it is not an object'];
+    }
+
+    const problems = [];
+    // The API only accepts these characters in tool names
+    if (typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+        problems.push('"name" must be a string of 1-64 letters, digits, "_" or "-"');
+    }
+    if (typeof tool.description !== 'string' || !tool.description.trim()) {
+        problems.push('"description" must be a non-empty string');
+    }
+    if (!tool.input_schema || typeof tool.input_schema !== 'object' || tool.input_schema.type !== 'object') {
+        problems.push('"input_schema" must be a JSON schema with type "object"');
+    }
+    for (const method of ['isReadOnly', 'needsPermission', 'call']) {
+        if (typeof tool[method] !== 'function') {
+            problems.push(`"${method}" must be a function`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Adds a tool to the available tools. Names must be unique: a tool never
+ * replaces a built-in tool or a tool that was registered before.
+ * @param {object} tool - The tool object.
+ * @param {string} source - Where the tool comes from, e.g. the plugin path.
+ * @throws {Error} If the shape is invalid or the name is already taken.
+ */
+function registerTool(tool, source) {
+    const problems = validateToolShape(tool);
+    if (problems.length > 0) {
+        throw new Error(`Invalid tool${tool && typeof tool.name === 'string' ? ` "${tool.name}"` : ''}: ${problems.join(', ')}`);
+    }
+
+    if (toolSources.has(tool.name)) {
+        throw new Error(`Tool "${tool.name}" is already provided by ${toolSources.get(tool.name)}`);
+    }
+
+    availableTools.push(tool);
+    toolSources.set(tool.name, source);
+}
+
 /**
  * Generates the tool definitions in the format expected by the Claude API.
  * @returns {Array<object>} - A list of tool definitions for the API.
@@ -165,5 +856,8 @@ function getToolSchemas() {
 module.exports = {
     availableTools,
     findToolByName,
+    getToolSource,
+    validateToolShape,
+    registerTool,
     getToolSchemas,
 };
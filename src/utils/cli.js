@@ -0,0 +1,193 @@
+// Supported command line options. Options with a value take the next argument.
+// Options with a 'setting' override that setting of the config files (see src/settings.js).
+const CLI_OPTIONS = [
+    {
+        name: 'print',
+        flags: ['-p', '--print'],
+        value: 'optional',
+        description: 'Run a single prompt without the interactive REPL and print the answer. Reads the prompt from stdin if none is given.'
+    },
+    {
+        name: 'allowTools',
+        flags: ['--allow-tools'],
+        value: 'list',
+        setting: 'allowed_tools',
+        description: 'Comma-separated tools that may run without asking, e.g. viewFile,listDirectory. Needed in --print mode, where there is no prompt.'
+    },
+    {
+        name: 'model',
+        flags: ['-m', '--model'],
+        value: 'required',
+        setting: 'model',
+        description: 'The Claude model to use.'
+    },
+    {
+        name: 'maxTokens',
+        flags: ['--max-tokens'],
+        value: 'required',
+        type: 'number',
+        setting: 'max_tokens',
+        description: 'Maximum number of tokens per response.'
+    },
+    {
+        name: 'temperature',
+        flags: ['--temperature'],
+        value: 'required',
+        type: 'number',
+        setting: 'temperature',
+        description: 'Sampling temperature between 0 and 1.'
+    },
+    {
+        name: 'set',
+        flags: ['--set'],
+        value: 'required',
+        description: 'Override any setting, e.g. --set max_turns_per_query=50. Can be repeated. Use /config to see the settings.'
+    },
+    {
+        name: 'continue',
+        flags: ['-c', '--continue'],
+        value: 'none',
+        description: 'Continue the most recent session of this workspace.'
+    },
+    {
+        name: 'resume',
+        flags: ['-r', '--resume'],
+        value: 'required',
+        description: 'Resume the session with this id (or a unique prefix of it). Use /sessions to list them.'
+    },
+    {
+        name: 'maxBudget',
+        flags: ['--max-budget'],
+        value: 'required',
+        type: 'number',
+        setting: 'max_budget_usd',
+        description: 'Stop the agent loop once the session has cost this many USD.'
+    },
+    {
+        name: 'outputFormat',
+        flags: ['--output-format'],
+        value: 'required',
+        choices: ['text', 'stream-json'],
+        description: "Output of --print mode: 'text' (final answer only) or 'stream-json' (one JSON event per line)."
+    },
+    {
+        name: 'help',
+        flags: ['-h', '--help'],
+        value: 'none',
+        description: 'Show this help.'
+    },
+];
+
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} argv - The arguments without node and script path.
+ * @returns {object} - { print, prompt, continue, resume, outputFormat, help, settings }.
+ *   settings holds the values of options with a 'setting' and of --set, by setting name.
+ * @throws {Error} - For unknown options or missing values.
+ */
+function parseCliArgs(argv) {
+    const options = {
+        print: false,
+        prompt: null,
+        continue: false,
+        resume: null,
+        outputFormat: 'text',
+        help: false,
+        settings: {},
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // Support both "--flag value" and "--flag=value"
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        const option = CLI_OPTIONS.find(candidate => candidate.flags.includes(flag));
+        if (!option) {
+            throw new Error(`Unknown option "${arg}". Use --help to see all options.`);
+        }
+
+        let value = inlineValue;
+        const nextArg = argv[i + 1];
+        // A bare "-" is a value (e.g. "-p -" reads the prompt from stdin), other words starting with "-" are options
+        if (value === undefined && option.value !== 'none' && nextArg !== undefined && (nextArg === '-' || !nextArg.startsWith('-'))) {
+            value = nextArg;
+            i++;
+        }
+
+        switch (option.value) {
+            case 'none':
+                options[option.name] = true;
+                break;
+            case 'optional':
+                // A flag with an optional value, e.g. "-p" or "-p 'prompt'"
+                options[option.name] = true;
+                if (option.name === 'print' && value !== undefined) {
+                    options.prompt = value;
+                }
+                break;
+            case 'list':
+                if (value === undefined) {
+                    throw new Error(`Option ${flag} needs a value.`);
+                }
+                options.settings[option.setting] = (options.settings[option.setting] || [])
+                    .concat(value.split(',').map(item => item.trim()).filter(Boolean));
+                break;
+            default:
+                if (value === undefined) {
+                    throw new Error(`Option ${flag} needs a value.`);
+                }
+                if (option.choices && !option.choices.includes(value)) {
+                    throw new Error(`Invalid value "${value}" for ${flag}. Allowed: ${option.choices.join(', ')}.`);
+                }
+                if (option.type === 'number') {
+                    if (Number.isNaN(Number(value)) || Number(value) < 0) {
+                        throw new Error(`Option ${flag} needs a non-negative number, got "${value}".`);
+                    }
+                    value = Number(value);
+                }
+                if (option.name === 'set') {
+                    // The value is converted and validated together with the config files
+                    const separator = value.indexOf('=');
+                    if (separator <= 0) {
+                        throw new Error(`Option ${flag} needs a value like "name=value", got "${value}".`);
+                    }
+                    options.settings[value.slice(0, separator).trim()] = value.slice(separator + 1);
+                } else if (option.setting) {
+                    options.settings[option.setting] = value;
+                } else {
+                    options[option.name] = value;
+                }
+        }
+    }
+
+    if (options.continue && options.resume) {
+        throw new Error('Use either --continue or --resume, not both.');
+    }
+    if (options.outputFormat !== 'text' && !options.print) {
+        throw new Error('--output-format can only be used together with --print.');
+    }
+
+    return options;
+}
+
+/**
+ * Creates the help text for the command line options.
+ * @returns {string} - The usage text.
+ */
+function getCliUsage() {
+    const lines = ['Usage: node index.js [options]', '', 'Options:'];
+    for (const option of CLI_OPTIONS) {
+        let flags = option.flags.join(', ');
+        if (option.value === 'optional') flags += ' [value]';
+        if (option.value === 'list' || option.value === 'required') flags += ' <value>';
+        lines.push(`  ${flags.padEnd(28)} ${option.description}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseCliArgs,
+    getCliUsage,
+};
@@ -0,0 +1,354 @@
+/**
+ * Strips the "a/" or "b/" prefix and an optional timestamp from a path in a file header.
+ * @param {string} rawPath - The path as it appears after "--- " or "+++ ".
+ * @returns {string|null} - The relative path, or null for /dev/null.
+ */
+function parsePatchPath(rawPath) {
+    const filePath = rawPath.split('\t')[0].trim();
+    if (filePath === '/dev/null') {
+        return null;
+    }
+    return filePath.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parses a unified diff into file patches and hunks.
+ * @param {string} patchText - The unified diff (one or more files).
+ * @returns {Array<object>} - [{ oldPath, newPath, hunks: [{ header, oldStart, oldLines, newLines, ... }] }].
+ * @throws {Error} - If the diff is malformed.
+ */
+function parseUnifiedDiff(patchText) {
+    const lines = patchText.replace(/\r\n/g, '\n').split('\n');
+    // The final newline of the patch doesn't start another line
+    if (lines[lines.length - 1] === '') lines.pop();
+    const filePatches = [];
+    let currentFile = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // File header: "--- a/path" followed by "+++ b/path"
+        if (line.startsWith('--- ') && lines[i + 1] !== undefined && lines[i + 1].startsWith('+++ ')) {
+            currentFile = {
+                oldPath: parsePatchPath(line.slice(4)),
+                newPath: parsePatchPath(lines[i + 1].slice(4)),
+                hunks: []
+            };
+            filePatches.push(currentFile);
+            i++;
+            continue;
+        }
+
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (!header) {
+            // Everything else outside of hunks ("diff --git", "index ...", comments) is ignored
+            continue;
+        }
+        if (!currentFile) {
+            throw new Error(`Hunk "${line}" appears before a file header ("--- a/file" and "+++ b/file").`);
+        }
+
+        const hunk = {
+            header: line,
+            oldStart: Number(header[1]),
+            oldCount: header[2] === undefined ? 1 : Number(header[2]),
+            newStart: Number(header[3]),
+            newCount: header[4] === undefined ? 1 : Number(header[4]),
+            oldLines: [],
+            newLines: [],
+            oldNoNewlineAtEnd: false,
+            newNoNewlineAtEnd: false,
+        };
+
+        // Consume exactly as many lines as the header announces
+        let oldRemaining = hunk.oldCount;
+        let newRemaining = hunk.newCount;
+        let lastPrefix = null;
+        while (oldRemaining > 0 || newRemaining > 0 || (lines[i + 1] || '').startsWith('\\')) {
+            i++;
+            if (i >= lines.length) {
+                throw new Error(`Hunk "${hunk.header}" in ${currentFile.newPath || currentFile.oldPath} ends early: ${oldRemaining} old and ${newRemaining} new lines are missing.`);
+            }
+            const hunkLine = lines[i];
+            // Some editors strip the single space of empty context lines
+            const prefix = hunkLine === '' ? ' ' : hunkLine[0];
+            const text = hunkLine.slice(1);
+
+            if (prefix === '\\') {
+                // "\ No newline at end of file" refers to the previous line
+                if (lastPrefix !== '+') hunk.oldNoNewlineAtEnd = true;
+                if (lastPrefix !== '-') hunk.newNoNewlineAtEnd = true;
+                continue;
+            }
+            if (prefix === ' ' && oldRemaining > 0 && newRemaining > 0) {
+                hunk.oldLines.push(text);
+                hunk.newLines.push(text);
+                oldRemaining--;
+                newRemaining--;
+            } else if (prefix === '-' && oldRemaining > 0) {
+                hunk.oldLines.push(text);
+                oldRemaining--;
+            } else if (prefix === '+' && newRemaining > 0) {
+                hunk.newLines.push(text);
+                newRemaining--;
+            } else {
+                throw new Error(`Hunk "${hunk.header}" in ${currentFile.newPath || currentFile.oldPath} does not match its line counts at "${hunkLine}".`);
+            }
+            lastPrefix = prefix;
+        }
+
+        currentFile.hunks.push(hunk);
+    }
+
+    if (filePatches.length === 0) {
+        throw new Error('No file headers ("--- a/file" and "+++ b/file") found.');
+    }
+    return filePatches;
+}
+
+/**
+ * Checks if the lines of a hunk match the file at the given position.
+ * @param {Array<string>} fileLines - The lines of the file.
+ * @param {Array<string>} hunkLines - The expected lines.
+ * @param {number} position - The index in fileLines.
+ * @returns {boolean} - True if all lines match exactly.
+ */
+function hunkMatchesAt(fileLines, hunkLines, position) {
+    for (let i = 0; i < hunkLines.length; i++) {
+        if (fileLines[position + i] !== hunkLines[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Applies the hunks of a file patch to the file content.
+ * Context and removed lines must match exactly; a hunk may only move
+ * (e.g. because of earlier edits) but never apply with fuzz.
+ * @param {string} content - The current file content ('' for new files).
+ * @param {Array<object>} hunks - The hunks from parseUnifiedDiff.
+ * @returns {string} - The patched content.
+ * @throws {Error} - If a hunk doesn't apply cleanly.
+ */
+function applyHunks(content, hunks) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const hadTrailingNewline = content === '' || content.endsWith(eol);
+    const fileLines = content === '' ? [] : content.split(eol);
+    if (content.endsWith(eol)) fileLines.pop();
+
+    const result = [];
+    let cursor = 0;
+    let trailingNewline = hadTrailingNewline;
+
+    hunks.forEach((hunk, hunkIndex) => {
+        // Pure insertions ("-n,0") insert after line n, all other hunks start at line n
+        const expected = hunk.oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        const lastPosition = fileLines.length - hunk.oldLines.length;
+
+        // Search outwards from the expected position, but never before the previous hunk
+        let position = -1;
+        for (let offset = 0; position === -1 && offset <= fileLines.length; offset++) {
+            for (const candidate of offset === 0 ? [expected] : [expected - offset, expected + offset]) {
+                if (candidate >= cursor && candidate <= lastPosition && hunkMatchesAt(fileLines, hunk.oldLines, candidate)) {
+                    position = candidate;
+                    break;
+                }
+            }
+        }
+
+        if (position === -1) {
+            throw new Error(`Hunk ${hunkIndex + 1} (${hunk.header}) does not apply: its context and removed lines were not found in the file.`);
+        }
+
+        result.push(...fileLines.slice(cursor, position), ...hunk.newLines);
+        cursor = position + hunk.oldLines.length;
+
+        // "\ No newline at end of file" only matters for the hunk that reaches the end of the file
+        if (cursor === fileLines.length) {
+            if (hunk.newNoNewlineAtEnd) {
+                trailingNewline = false;
+            } else if (hunk.oldNoNewlineAtEnd) {
+                trailingNewline = true;
+            }
+        }
+    });
+
+    result.push(...fileLines.slice(cursor));
+    if (result.length === 0) {
+        return '';
+    }
+    return result.join(eol) + (trailingNewline ? eol : '');
+}
+
+// Above this many line comparisons the diff falls back to replacing the whole changed block
+const MAX_DIFF_COMPARISONS = 4000000;
+
+// ANSI escape codes for colored diffs
+const COLORS = {
+    reset: '\x1b[0m',
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    cyan: '\x1b[36m',
+};
+
+/**
+ * Splits content into lines for diffing. A missing newline at the end of the file
+ * is kept as "\ No newline at end of file" marker on the last line, so that a change
+ * of only the final newline still shows up in the diff.
+ * @param {string} content - The file content.
+ * @returns {Array<string>} - The lines without line endings.
+ */
+function splitDiffLines(content) {
+    if (content === '') return [];
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += '\n\\ No newline at end of file';
+    }
+    return lines;
+}
+
+/**
+ * Computes the line operations that turn oldLines into newLines (longest common subsequence).
+ * @param {Array<string>} oldLines - The original lines.
+ * @param {Array<string>} newLines - The new lines.
+ * @returns {Array<object>} - [{ type: ' ' | '-' | '+', text }].
+ */
+function diffLines(oldLines, newLines) {
+    // Common prefix and suffix don't need the expensive comparison
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix
+        && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const n = oldMiddle.length;
+    const m = newMiddle.length;
+
+    const operations = oldLines.slice(0, prefix).map(text => ({ type: ' ', text }));
+
+    if ((n + 1) * (m + 1) > MAX_DIFF_COMPARISONS) {
+        // Too large to compare line by line: show the changed block as removed and added
+        operations.push(...oldMiddle.map(text => ({ type: '-', text })));
+        operations.push(...newMiddle.map(text => ({ type: '+', text })));
+    } else {
+        // lcs[i * (m + 1) + j] = length of the common subsequence of oldMiddle[i..] and newMiddle[j..]
+        const lcs = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j]
+                    ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+                operations.push({ type: ' ', text: oldMiddle[i] });
+                i++;
+                j++;
+            } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] > lcs[(i + 1) * (m + 1) + j])) {
+                operations.push({ type: '+', text: newMiddle[j] });
+                j++;
+            } else {
+                operations.push({ type: '-', text: oldMiddle[i] });
+                i++;
+            }
+        }
+    }
+
+    operations.push(...oldLines.slice(oldLines.length - suffix).map(text => ({ type: ' ', text })));
+    return operations;
+}
+
+/**
+ * Creates a unified diff between two versions of a file.
+ * @param {string} oldContent - The current content ('' for a new file).
+ * @param {string} newContent - The proposed content.
+ * @param {string} oldLabel - The path shown in the "---" header (e.g. "a/src/index.js" or "/dev/null").
+ * @param {string} newLabel - The path shown in the "+++" header.
+ * @param {number} contextLines - The number of unchanged lines around each change.
+ * @returns {string} - The unified diff, or '' if the contents are identical.
+ */
+function createUnifiedDiff(oldContent, newContent, oldLabel, newLabel, contextLines = 3) {
+    const operations = diffLines(splitDiffLines(oldContent), splitDiffLines(newContent));
+    const changeIndices = operations
+        .map((operation, index) => (operation.type === ' ' ? -1 : index))
+        .filter(index => index !== -1);
+
+    if (changeIndices.length === 0) {
+        return '';
+    }
+
+    // Group changes whose context overlaps into the same hunk
+    const ranges = [];
+    for (const index of changeIndices) {
+        const start = Math.max(0, index - contextLines);
+        const end = Math.min(operations.length, index + contextLines + 1);
+        const lastRange = ranges[ranges.length - 1];
+        if (lastRange && start <= lastRange.end) {
+            lastRange.end = end;
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+
+    // Line numbers (1-based) at the beginning of every operation
+    const oldLineNumbers = [];
+    const newLineNumbers = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const operation of operations) {
+        oldLineNumbers.push(oldLine);
+        newLineNumbers.push(newLine);
+        if (operation.type !== '+') oldLine++;
+        if (operation.type !== '-') newLine++;
+    }
+
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (const { start, end } of ranges) {
+        const hunkOperations = operations.slice(start, end);
+        const oldCount = hunkOperations.filter(operation => operation.type !== '+').length;
+        const newCount = hunkOperations.filter(operation => operation.type !== '-').length;
+        // Empty ranges point at the line before them, as in GNU diff
+        const oldStart = oldCount === 0 ? oldLineNumbers[start] - 1 : oldLineNumbers[start];
+        const newStart = newCount === 0 ? newLineNumbers[start] - 1 : newLineNumbers[start];
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        output.push(...hunkOperations.map(operation => operation.type + operation.text));
+    }
+
+    return output.join('\n') + '\n';
+}
+
+/**
+ * Adds terminal colors to a unified diff.
+ * @param {string} diffText - The unified diff.
+ * @returns {string} - The diff with ANSI colors.
+ */
+function colorizeDiff(diffText) {
+    return diffText.split('\n').map(line => {
+        if (line.startsWith('---') || line.startsWith('+++')) return COLORS.bold + line + COLORS.reset;
+        if (line.startsWith('@@')) return COLORS.cyan + line + COLORS.reset;
+        if (line.startsWith('-')) return COLORS.red + line + COLORS.reset;
+        if (line.startsWith('+')) return COLORS.green + line + COLORS.reset;
+        if (line.startsWith('\\')) return COLORS.dim + line + COLORS.reset;
+        return line;
+    }).join('\n');
+}
+
+module.exports = {
+    parseUnifiedDiff,
+    applyHunks,
+    createUnifiedDiff,
+    colorizeDiff,
+};
@@ -0,0 +1,116 @@
+// Version of the NDJSON event schema written by --output-format stream-json.
+// Increase it when fields are removed or change their meaning; new fields and events don't need a new version.
+const EVENT_SCHEMA_VERSION = 1;
+
+/**
+ * Converts an error (or anything thrown) into a plain JSON object.
+ * @param {any} error - The error.
+ * @returns {object} - { name, message, status?, code?, stack? }.
+ */
+function serializeError(error) {
+    if (error instanceof Error) {
+        const serialized = { name: error.name, message: error.message };
+        // Keep additional information like HTTP status or system error codes
+        for (const field of ['status', 'code', 'type']) {
+            if (error[field] !== undefined) serialized[field] = error[field];
+        }
+        if (error.stack) serialized.stack = error.stack;
+        return serialized;
+    }
+    if (error && typeof error === 'object') {
+        return { name: 'Error', message: error.message ? String(error.message) : JSON.stringify(error) };
+    }
+    return { name: 'Error', message: String(error) };
+}
+
+/**
+ * Converts a usage record into the snake_case fields of the event schema.
+ * @param {object} usage - The usage record from the usage tracker.
+ * @returns {object} - The serializable usage.
+ */
+function serializeUsage(usage) {
+    return {
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        cache_creation_input_tokens: usage.cacheCreationInputTokens,
+        cache_read_input_tokens: usage.cacheReadInputTokens,
+        cost_usd: usage.costUsd,
+        cost_known: usage.costUsd !== null && usage.costKnown !== false,
+        api_calls: usage.apiCalls,
+    };
+}
+
+/**
+ * Converts an event yielded by query() into the documented stream-json shape.
+ * Every event has "schema_version" and "type"; the other fields depend on the type.
+ * @param {object} event - The event from query() or the CLI.
+ * @returns {object} - The serializable event.
+ */
+function serializeEvent(event) {
+    const base = { schema_version: EVENT_SCHEMA_VERSION, type: event.type };
+
+    switch (event.type) {
+        case 'error':
+            return { ...base, error: serializeError(event.error) };
+        case 'final_assistant_response':
+            return { ...base, content: event.content };
+        case 'status':
+            return { ...base, message: event.message };
+        case 'usage':
+            return {
+                ...base,
+                model: event.call.model,
+                call: serializeUsage(event.call),
+                turn: serializeUsage(event.turn),
+                session: serializeUsage(event.session),
+            };
+        case 'limit_reached':
+            // The continue() callback only exists for interactive consumers
+            return { ...base, limit: event.limit, count: event.count, max: event.max, message: event.message };
+        case 'tool_status': {
+            // The result itself follows in the tool_complete event
+            const serialized = { ...base, status: event.status, tool_use_id: event.toolUseId, tool_name: event.toolName };
+            if (event.input !== undefined) serialized.input = event.input;
+            if (event.message !== undefined) serialized.message = event.message;
+            if (event.error !== undefined) serialized.error = event.error;
+            if (event.durationMs !== undefined) serialized.duration_ms = event.durationMs;
+            if (event.cached) serialized.cached = true;
+            return serialized;
+        }
+        case 'compacted':
+            return {
+                ...base,
+                summarized_count: event.summarizedCount,
+                tokens_before: event.tokensBefore,
+                tokens_after: event.tokensAfter,
+            };
+        case 'tool_complete':
+            return { ...base, tool_use_id: event.toolUseId, tool_name: event.toolName, result: event.result };
+        default: {
+            // All other events keep their fields; errors inside them are serialized as well
+            const serialized = { ...base };
+            for (const [key, value] of Object.entries(event)) {
+                if (key === 'type') continue;
+                serialized[key] = value instanceof Error ? serializeError(value) : value;
+            }
+            return serialized;
+        }
+    }
+}
+
+/**
+ * Formats an event as a single NDJSON line.
+ * @param {object} event - The event from query() or the CLI.
+ * @returns {string} - The JSON line including the trailing newline.
+ */
+function formatEventLine(event) {
+    return JSON.stringify(serializeEvent(event)) + '\n';
+}
+
+module.exports = {
+    EVENT_SCHEMA_VERSION,
+    serializeError,
+    serializeUsage,
+    serializeEvent,
+    formatEventLine,
+};
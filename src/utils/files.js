@@ -0,0 +1,154 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { globToRegExp } = require('./glob.js');
+
+// Directories that are never searched, even without a .gitignore
+const ALWAYS_SKIPPED_DIRS = ['.git'];
+
+// Number of bytes checked for NUL characters to detect binary files
+const BINARY_CHECK_BYTES = 8000;
+
+/**
+ * Parses the content of a .gitignore file.
+ * @param {string} content - The file content.
+ * @param {string} baseDir - The directory of the file, relative to the workspace ('' for the root).
+ * @returns {Array<object>} - The rules: { regex, negate, dirOnly, anchored, baseDir }.
+ */
+function parseGitignore(content, baseDir = '') {
+    const rules = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+        let pattern = rawLine.replace(/\s+$/, '');
+        if (!pattern || pattern.startsWith('#')) continue;
+
+        const negate = pattern.startsWith('!');
+        if (negate) pattern = pattern.slice(1);
+        if (pattern.startsWith('\\')) pattern = pattern.slice(1);
+
+        const dirOnly = pattern.endsWith('/');
+        if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+        if (!pattern) continue;
+
+        // A slash at the start or in the middle anchors the pattern to the directory of the .gitignore
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+
+        rules.push({ regex: globToRegExp(pattern), negate, dirOnly, anchored, baseDir });
+    }
+    return rules;
+}
+
+/**
+ * Checks a path against .gitignore rules. Like in git, the last matching rule wins.
+ * @param {string} relativePath - The path relative to the workspace, with forward slashes.
+ * @param {boolean} isDirectory - Whether the path is a directory.
+ * @param {Array<object>} rules - The rules from parseGitignore().
+ * @returns {boolean} - True if the path is ignored.
+ */
+function isIgnored(relativePath, isDirectory, rules) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) continue;
+        if (rule.baseDir && !relativePath.startsWith(`${rule.baseDir}/`)) continue;
+
+        const pathInBase = rule.baseDir ? relativePath.slice(rule.baseDir.length + 1) : relativePath;
+        const target = rule.anchored ? pathInBase : pathInBase.split('/').pop();
+        if (rule.regex.test(target)) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
+
+/**
+ * Reads the .gitignore file of a directory, if there is one.
+ * @param {string} relativeDir - The directory relative to the workspace ('' for the root).
+ * @returns {Promise<Array<object>>} - The parsed rules.
+ */
+async function readGitignoreRules(relativeDir) {
+    try {
+        const content = await fs.readFile(path.join(process.cwd(), relativeDir, '.gitignore'), 'utf-8');
+        return parseGitignore(content, relativeDir);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Walks the files below a directory of the workspace in name order.
+ * .gitignore files (of the directory, its parents and its subdirectories) are respected,
+ * .git is skipped and symbolic links are not followed.
+ * @param {string} startDir - The directory relative to the workspace.
+ * @param {AbortSignal|null} abortSignal - A signal to stop walking.
+ * @yields {object} - { relativePath, absolutePath } of each file; relativePath uses forward slashes.
+ */
+async function* walkWorkspaceFiles(startDir = '.', abortSignal = null) {
+    const workspaceDir = process.cwd();
+    const startPath = path.relative(workspaceDir, path.resolve(workspaceDir, startDir)).split(path.sep).join('/');
+
+    // The rules of the parent directories apply to the start directory as well
+    let startRules = [];
+    const parentDirs = startPath ? startPath.split('/').slice(0, -1) : [];
+    for (let depth = 0; depth <= parentDirs.length; depth++) {
+        startRules = startRules.concat(await readGitignoreRules(parentDirs.slice(0, depth).join('/')));
+    }
+
+    const pending = [{ relativeDir: startPath, rules: startRules }];
+    while (pending.length > 0) {
+        if (abortSignal && abortSignal.aborted) return;
+
+        const { relativeDir, rules: parentRules } = pending.shift();
+        const rules = relativeDir === '' ? parentRules : parentRules.concat(await readGitignoreRules(relativeDir));
+
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(workspaceDir, relativeDir), { withFileTypes: true });
+        } catch (error) {
+            // Unreadable directories are skipped
+            continue;
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        const subdirectories = [];
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (!ALWAYS_SKIPPED_DIRS.includes(entry.name) && !isIgnored(relativePath, true, rules)) {
+                    subdirectories.push({ relativeDir: relativePath, rules });
+                }
+            } else if (entry.isFile() && !isIgnored(relativePath, false, rules)) {
+                yield { relativePath, absolutePath: path.join(workspaceDir, relativePath) };
+            }
+        }
+        // Files of a directory come before the files of its subdirectories
+        pending.unshift(...subdirectories);
+    }
+}
+
+/**
+ * Checks if an absolute path is the workspace root or lies inside it. A plain prefix check
+ * would also accept sibling directories like "/work/app-old" for the workspace "/work/app".
+ * @param {string} absolutePath - The resolved path.
+ * @returns {boolean} - True if the path is inside the workspace.
+ */
+function isInsideWorkspace(absolutePath) {
+    const relativePath = path.relative(process.cwd(), absolutePath);
+    return relativePath !== '..' && !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Checks if file content is binary (contains a NUL byte near the start).
+ * @param {Buffer} buffer - The file content.
+ * @returns {boolean} - True if the content looks binary.
+ */
+function isBinaryContent(buffer) {
+    return buffer.subarray(0, BINARY_CHECK_BYTES).includes(0);
+}
+
+module.exports = {
+    parseGitignore,
+    isIgnored,
+    walkWorkspaceFiles,
+    isInsideWorkspace,
+    isBinaryContent,
+    BINARY_CHECK_BYTES,
+};
@@ -25,59 +25,57 @@ async function* runConcurrently(generatorFunctions, context = {}, maxConcurrency
 
     // Keep track of active generators and their indices
     const activeGenerators = new Map();
+    // Pending next() promise per active generator. A generator is only asked for its
+    // next value after the previous one was consumed, otherwise values would get lost.
+    const pendingResults = new Map();
     // Keep track of the next generator function to be started
     let nextIndex = 0;
 
+    // Requests the next value of a generator and remembers the pending promise
+    const requestNext = (index) => {
+        const generator = activeGenerators.get(index);
+        pendingResults.set(index, (async () => {
+            try {
+                const result = await generator.next();
+                return { index, result };
+            } catch (error) {
+                console.error(`Error in generator ${index}:`, error);
+                return { index, error };
+            }
+        })());
+    };
+
+    // Starts the next generator function, if available
+    const startNext = () => {
+        if (nextIndex < generatorFunctions.length) {
+            activeGenerators.set(nextIndex, generatorFunctions[nextIndex](context));
+            requestNext(nextIndex);
+            nextIndex++;
+        }
+    };
+
     // Initialize the first generators up to maximum concurrency
-    for (let i = 0; i < Math.min(maxConcurrency, generatorFunctions.length); i++) {
-        const generator = generatorFunctions[i](context);
-        activeGenerators.set(i, generator);
+    while (nextIndex < Math.min(maxConcurrency, generatorFunctions.length)) {
+        startNext();
     }
-    nextIndex = Math.min(maxConcurrency, generatorFunctions.length);
 
     // As long as there are active generators, process them
     while (activeGenerators.size > 0) {
-        // Create an array of promises for the next value of each active generator
-        const nextValuePromises = Array.from(activeGenerators.entries()).map(
-            async ([index, generator]) => {
-                try {
-                    const result = await generator.next();
-                    return { index, result };
-                } catch (error) {
-                    console.error(`Error in generator ${index}:`, error);
-                    return { index, error };
-                }
-            }
-        );
-
         // Wait for the first generator to output a value or complete
-        const { index, result, error } = await Promise.race(nextValuePromises);
+        const { index, result, error } = await Promise.race(pendingResults.values());
 
-        if (error) {
-            // Remove the generator that caused an error
+        if (error || result.done) {
+            // Remove the generator that completed or caused an error
             activeGenerators.delete(index);
-            // Start the next generator, if available
-            if (nextIndex < generatorFunctions.length) {
-                const generator = generatorFunctions[nextIndex](context);
-                activeGenerators.set(nextIndex, generator);
-                nextIndex++;
-            }
+            pendingResults.delete(index);
+            startNext();
             continue;
         }
 
-        if (result.done) {
-            // Remove the completed generator
-            activeGenerators.delete(index);
-            // Start the next generator, if available
-            if (nextIndex < generatorFunctions.length) {
-                const generator = generatorFunctions[nextIndex](context);
-                activeGenerators.set(nextIndex, generator);
-                nextIndex++;
-            }
-        } else {
-            // Output the value with index for identification
-            yield { index, value: result.value };
-        }
+        // Ask this generator for its next value, then output the current one
+        requestNext(index);
+        // Output the value with index for identification
+        yield { index, value: result.value };
     }
 }
 
@@ -120,7 +118,7 @@ async function* executeTasksOptimally(tasks, context = {}, maxConcurrency = 5) {
 
     // Execute read tasks in parallel
     if (readOnlyGenerators.length > 0) {
-        console.log(`Executing ${readOnlyGenerators.length} read tasks in parallel...`);
+        // console.log(`Executing ${readOnlyGenerators.length} read tasks in parallel...`);
         for await (const { index, value } of runConcurrently(readOnlyGenerators, context, maxConcurrency)) {
             yield value;
         }
@@ -128,15 +126,58 @@ async function* executeTasksOptimally(tasks, context = {}, maxConcurrency = 5) {
 
     // Execute write tasks sequentially
     if (writeGenerators.length > 0) {
-        console.log(`Executing ${writeGenerators.length} write tasks sequentially...`);
+        // console.log(`Executing ${writeGenerators.length} write tasks sequentially...`);
         for await (const value of runSequentially(writeGenerators, context)) {
             yield value;
         }
     }
 }
 
+/**
+ * Creates a queue that is filled by callbacks and read with "for await".
+ * Lets a generator pass on values that arrive while it waits for a promise.
+ * @returns {object} - { push(value), close(), [Symbol.asyncIterator] }; iteration ends after close().
+ */
+function createAsyncQueue() {
+    const values = [];
+    let closed = false;
+    let notify = null;
+
+    const wakeUp = () => {
+        if (notify) {
+            const resolve = notify;
+            notify = null;
+            resolve();
+        }
+    };
+
+    return {
+        push(value) {
+            if (closed) return;
+            values.push(value);
+            wakeUp();
+        },
+        close() {
+            closed = true;
+            wakeUp();
+        },
+        async *[Symbol.asyncIterator]() {
+            while (true) {
+                if (values.length > 0) {
+                    yield values.shift();
+                } else if (closed) {
+                    return;
+                } else {
+                    await new Promise(resolve => { notify = resolve; });
+                }
+            }
+        },
+    };
+}
+
 module.exports = {
     runSequentially,
     runConcurrently,
     executeTasksOptimally,
+    createAsyncQueue,
 };
@@ -0,0 +1,94 @@
+const path = require('path');
+
+/**
+ * Escapes a character for use in a regular expression.
+ * @param {string} char - The character.
+ * @returns {string} - The escaped character.
+ */
+function escapeRegExpChar(char) {
+    return /[.+^$()|[\]\\]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Converts a glob pattern into a regular expression.
+ * Supports "**" (any number of directories), "*" (anything except "/"), "?" and "{a,b}".
+ * A trailing "/**" also matches the directory itself, so "src/**" matches "src".
+ * @param {string} pattern - The glob pattern.
+ * @returns {RegExp} - The regular expression matching the complete path.
+ */
+function globToRegExp(pattern) {
+    let regex = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '/' && pattern.slice(i) === '/**') {
+            regex += '(?:/.*)?';
+            break;
+        }
+
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                i++;
+                if (pattern[i + 1] === '/') {
+                    // "**/" matches zero or more directories
+                    regex += '(?:.*/)?';
+                    i++;
+                } else {
+                    regex += '.*';
+                }
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '{') {
+            braceDepth++;
+            regex += '(?:';
+        } else if (char === '}' && braceDepth > 0) {
+            braceDepth--;
+            regex += ')';
+        } else if (char === ',' && braceDepth > 0) {
+            regex += '|';
+        } else {
+            regex += escapeRegExpChar(char);
+        }
+    }
+
+    return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Normalizes a path for glob matching: relative to the workspace, with forward slashes.
+ * @param {string} filePath - The path as given by the model.
+ * @returns {string} - The normalized path ("." for the workspace root).
+ */
+function normalizeGlobPath(filePath) {
+    const relativePath = path.relative(process.cwd(), path.resolve(process.cwd(), filePath));
+    return relativePath.split(path.sep).join('/') || '.';
+}
+
+/**
+ * Checks if a path matches a glob pattern.
+ * Like in .gitignore, a pattern without a slash matches the name in any directory.
+ * @param {string} filePath - The path relative to the workspace.
+ * @param {string} pattern - The glob pattern.
+ * @returns {boolean} - True if the path matches.
+ */
+function matchesGlob(filePath, pattern) {
+    const normalizedPath = normalizeGlobPath(filePath);
+    const cleanPattern = pattern.replace(/^\.\//, '');
+
+    if (!cleanPattern.includes('/')) {
+        const baseName = normalizedPath.split('/').pop();
+        return globToRegExp(cleanPattern).test(baseName);
+    }
+    return globToRegExp(cleanPattern.replace(/^\//, '')).test(normalizedPath);
+}
+
+module.exports = {
+    globToRegExp,
+    normalizeGlobPath,
+    matchesGlob,
+};
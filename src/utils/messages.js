@@ -57,14 +57,38 @@ function createToolResultMessage(toolUse, toolResult, isError = false) {
     // Format tool result for Claude API (following the original format)
     return {
         role: 'user',
-        content: [
-            {
-                type: 'tool_result',
-                tool_use_id: toolUse.id,
-                content: typeof toolResult === 'string' ? toolResult : JSON.stringify(toolResult),
-                is_error: isError
-            }
-        ]
+        content: [createToolResultBlock(toolUse, toolResult, isError)]
+    };
+}
+
+/**
+ * Checks if a tool result is a list of content blocks the API accepts in a tool_result:
+ * text blocks and image blocks. Other lists (e.g. [{ type: 'row', ... }] from a plugin) are sent as JSON.
+ * @param {any} toolResult - The result returned by the tool execution.
+ * @returns {boolean} - True if the result can be sent as tool_result content as it is.
+ */
+function isContentBlockList(toolResult) {
+    return Array.isArray(toolResult) && toolResult.length > 0
+        && toolResult.every(part => part && typeof part === 'object'
+            && ((part.type === 'text' && typeof part.text === 'string')
+                || (part.type === 'image' && part.source && typeof part.source === 'object')));
+}
+
+/**
+ * Creates a tool_result content block. All results of one assistant turn
+ * are sent back together in a single user message.
+ * @param {object} toolUse - The tool use object with id, name, and input.
+ * @param {any} toolResult - The result returned by the tool execution.
+ * @param {boolean} isError - Optional flag indicating if the result is an error.
+ * @returns {object} - The tool_result block.
+ */
+function createToolResultBlock(toolUse, toolResult, isError = false) {
+    // Content blocks (e.g. images from viewFile) are passed on, other values are sent as JSON
+    return {
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: typeof toolResult === 'string' || isContentBlockList(toolResult) ? toolResult : JSON.stringify(toolResult),
+        is_error: isError
     };
 }
 
@@ -99,9 +123,9 @@ function createToolSignature(toolName, params = {}) {
             .join('|');
         
         // Log the parameter processing
-        console.log(`[DEBUG] Creating signature for ${toolName}:
+        /* console.log(`[DEBUG] Creating signature for ${toolName}:
             Input params: ${JSON.stringify(params)}
-            Processed params: ${paramString}`);
+            Processed params: ${paramString}`); */
         
         return `${toolName}:${paramString || 'empty-params'}`;
     } catch (error) {
@@ -110,14 +134,22 @@ function createToolSignature(toolName, params = {}) {
     }
 }
 
+// Parameters that describe a tool call best, shown instead of the whole input
+const DISPLAY_PARAMS = ['filePath', 'dirPath', 'command', 'pattern'];
+
 /**
- * Formats a tool use request for display to the user.
+ * Formats a tool use request for display to the user, e.g. viewFile(src/index.js).
  * @param {object} toolUse - The tool use object from the API response.
  * @returns {string} - A formatted string representation for display.
  */
 function formatToolUseForDisplay(toolUse) {
-  // Basic formatting, can be enhanced later
-  return `Tool request: ${toolUse.name}(${JSON.stringify(toolUse.input)})`;
+    const input = toolUse.input || {};
+    const mainParam = DISPLAY_PARAMS.find(name => typeof input[name] === 'string');
+    let summary = mainParam ? input[mainParam] : JSON.stringify(input);
+    if (summary.length > 60) {
+        summary = `${summary.slice(0, 57)}...`;
+    }
+    return `${toolUse.name}(${summary})`;
 }
 
 /**
@@ -126,18 +158,72 @@ function formatToolUseForDisplay(toolUse) {
  * @param {any} result - The result from the tool.
  * @returns {string} - A formatted string representation for display.
  */
- function formatToolResultForDisplay(toolName, result) {
-    // Basic formatting, can be enhanced later
-    return `Tool result [${toolName}]:\n${typeof result === 'string' ? result : JSON.stringify(result, null, 2)}`;
-  }
+function formatToolResultForDisplay(toolName, result) {
+    if (typeof result === 'string') {
+        return result;
+    }
+    // Images can't be shown in the terminal
+    if (isContentBlockList(result)) {
+        return result.map(part => (part.type === 'text' ? part.text : `[${part.type}${part.source?.media_type ? `: ${part.source.media_type}` : ''}]`)).join('\n');
+    }
+    return JSON.stringify(result, null, 2);
+}
+
+
+/**
+ * Adds error results for tool uses that never got a result, e.g. because the
+ * program was interrupted while a tool was running. The API rejects histories
+ * with unanswered tool_use blocks.
+ * @param {Array<object>} messages - The conversation history, modified in place.
+ * @returns {number} - The number of repaired tool uses.
+ */
+function repairUnpairedToolUses(messages) {
+    const getBlocks = (message, type) => (Array.isArray(message.content) ? message.content : [])
+        .filter(block => block && block.type === type);
+
+    const answeredIds = new Set();
+    for (const message of messages) {
+        getBlocks(message, 'tool_result').forEach(block => answeredIds.add(block.tool_use_id));
+    }
 
+    let repairedCount = 0;
+    for (let i = 0; i < messages.length; i++) {
+        if (messages[i].role !== 'assistant') continue;
+
+        const unanswered = getBlocks(messages[i], 'tool_use').filter(block => !answeredIds.has(block.id));
+        if (unanswered.length === 0) continue;
+
+        // Insert after the results that were already given for this message
+        let insertAt = i + 1;
+        while (insertAt < messages.length && messages[insertAt].role === 'user' && getBlocks(messages[insertAt], 'tool_result').length > 0) {
+            insertAt++;
+        }
+
+        messages.splice(insertAt, 0, {
+            role: 'user',
+            content: unanswered.map(block => ({
+                type: 'tool_result',
+                tool_use_id: block.id,
+                content: 'Error: The tool execution was interrupted before it returned a result.',
+                is_error: true
+            }))
+        });
+        unanswered.forEach(block => answeredIds.add(block.id));
+        repairedCount += unanswered.length;
+    }
+
+    return repairedCount;
+}
 
 module.exports = {
   createUserMessage,
   createAssistantMessage,
   createToolUseMessage,
   createToolResultMessage,
+  createToolResultBlock,
+  isContentBlockList,
   formatToolUseForDisplay,
   formatToolResultForDisplay,
   createToolSignature,
+  repairUnpairedToolUses,
 };
@@ -1,9 +1,36 @@
 const readline = require('readline');
 const stream = require('stream'); // Import the entire module
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const { getCommandPrefix } = require('./shell.js');
+const { createUnifiedDiff, colorizeDiff } = require('./diff.js');
+const { POLICY_FILE, evaluatePermissionPolicy, addAllowRule } = require('./policy.js');
 
 // Simple in-memory storage for approved permissions (only for the current session)
 const approvedPermissions = new Set();
 
+// Permission prompts share process.stdin, so only one of them may be open at a time.
+// Each request is chained onto this promise and waits for the previous prompt to finish.
+let permissionPromptQueue = Promise.resolve();
+
+// Tools allowed via --allow-tools and whether prompts are possible at all.
+// Without a terminal (e.g. in --print mode) or with permission_mode "deny", tools are only
+// allowed by the policy file or --allow-tools.
+const permissionMode = {
+    interactive: true,
+    allowedTools: new Set(),
+    noPromptReason: '',
+};
+
+// Number of terminal rows reserved for the permission box when paging a diff
+const PROMPT_HEIGHT = 12;
+
+// Tools that modify files and are therefore approved per file
+const FILE_EDIT_TOOLS = ['editFile', 'replaceInFile', 'applyPatch'];
+
 /**
  * Creates a unique key for a permission request.
  * @param {string} toolName - The name of the tool.
@@ -11,11 +38,14 @@ const approvedPermissions = new Set();
  * @returns {string} - A unique key.
  */
 function getPermissionKey(toolName, params) {
-    // For 'editFile' we use the file path as part of the key
-    if (toolName === 'editFile' && params.filePath) {
+    // For file editing tools we use the file path as part of the key
+    if (FILE_EDIT_TOOLS.includes(toolName) && params.filePath) {
         return `${toolName}:${params.filePath}`;
     }
-    // TODO: Add logic for other state-changing tools (e.g. executeCommand)
+    // For 'runCommand' we use the command prefix, so approving "npm test" doesn't approve "rm -rf"
+    if (toolName === 'runCommand' && params.command) {
+        return `${toolName}:${getCommandPrefix(params.command)}`;
+    }
     return toolName; // General key for other tools
 }
 
@@ -30,54 +60,45 @@ function hasPermission(toolName, params) {
     return approvedPermissions.has(key);
 }
 
+/**
+ * Lists the permissions approved in this session.
+ * @returns {Array<string>} - The permission keys, e.g. "runCommand:npm test", in the order they were granted.
+ */
+function getApprovedPermissions() {
+    return [...approvedPermissions];
+}
+
+/**
+ * Revokes a permission approved in this session, so the tool asks again.
+ * Rules saved to the policy file are not changed.
+ * @param {string} key - The permission key from getApprovedPermissions().
+ * @returns {boolean} - False if no such permission was approved.
+ */
+function revokePermission(key) {
+    return approvedPermissions.delete(key);
+}
+
 /**
  * Asks the user for permission to execute a tool via the console.
- * Uses its own temporary readline instance without echo.
+ * Requests are serialized, so tools running in parallel never prompt at the same time.
  * @param {string} toolName - The name of the tool.
  * @param {object} params - The parameters of the tool call.
  * @returns {Promise<boolean>} - True if the user agrees, otherwise false.
  */
-async function requestPermission(toolName, params) {
-    const key = getPermissionKey(toolName, params);
-
-    // If already approved, don't ask again
-    if (approvedPermissions.has(key)) {
-        return true;
-    }
-
-    // Create a meaningful question
-    let paramsInfo = '';
-    if (toolName === 'viewFile' && params.filePath) {
-        paramsInfo = `for the file "${params.filePath}"`;
-    } else if (toolName === 'listDirectory' && params.dirPath) {
-        paramsInfo = `for the directory "${params.dirPath}"`;
-    } else if (toolName === 'editFile' && params.filePath) {
-        paramsInfo = `for the file "${params.filePath}"`;
-    }
-    // TODO: Add more specific questions for other tools
-
-    // Display a clear, formatted message
-    console.log('\n┌─────────────────────────────────────────────┐');
-    console.log(`│ PERMISSION REQUIRED                          │`);
-    console.log('├─────────────────────────────────────────────┤');
-    console.log(`│ Tool: ${toolName.padEnd(36)} │`);
-    if (paramsInfo) {
-        const chunks = [];
-        let remaining = paramsInfo;
-        while (remaining.length > 0) {
-            const chunk = remaining.slice(0, 35);
-            chunks.push(chunk);
-            remaining = remaining.slice(35);
-        }
-        chunks.forEach((chunk, i) => {
-            const prefix = i === 0 ? '│ For: ' : '│      ';
-            console.log(`${prefix}${chunk.padEnd(36)} │`);
-        });
-    }
-    console.log('├─────────────────────────────────────────────┤');
-    console.log(`│ Please enter 'yes' or 'no':                 │`);
-    console.log('└─────────────────────────────────────────────┘');
+function requestPermission(toolName, params) {
+    const prompt = permissionPromptQueue.then(() => promptForPermission(toolName, params));
+    // Keep the queue alive even if a prompt fails
+    permissionPromptQueue = prompt.catch(() => {});
+    return prompt;
+}
 
+/**
+ * Reads one line of user input.
+ * Uses its own temporary readline instance without echo.
+ * @param {string} promptText - The text shown before the input.
+ * @returns {Promise<string>} - The entered line.
+ */
+function askUser(promptText = '> ') {
     // Create an output stream that discards all data
     const discardStream = new stream.Writable({
         write(chunk, encoding, callback) {
@@ -85,6 +106,9 @@ async function requestPermission(toolName, params) {
         }
     });
 
+    // Closing the temporary instance leaves raw mode, which the REPL needs to catch Ctrl+C
+    const wasRaw = process.stdin.isTTY && process.stdin.isRaw;
+
     // Create a temporary readline instance that uses this silent stream
     const tempInterface = readline.createInterface({
         input: process.stdin,
@@ -92,34 +116,267 @@ async function requestPermission(toolName, params) {
         terminal: true
     });
 
-    // Perform the query
     return new Promise((resolve) => {
-        process.stdout.write('> ');
-        
-        tempInterface.question('', (answer) => { 
-            const input = answer.trim().toLowerCase();
-            const approved = input === 'yes' || input === 'y';
+        process.stdout.write(promptText);
 
+        tempInterface.question('', (answer) => {
             process.stdout.write('\n');
 
-            // Provide feedback about approval/rejection to stdout
-            if (approved) {
-                approvedPermissions.add(key);
-                console.log(`✅ Permission for "${toolName}" granted.\n`);
-            } else {
-                console.log(`❌ Permission for "${toolName}" denied.\n`);
-            }
-            
             // Close the temporary readline instance
             tempInterface.close();
-            
-            // Resolve the promise
-            resolve(approved);
+            if (wasRaw) process.stdin.setRawMode(true);
+            resolve(answer);
         });
     });
 }
 
+/**
+ * Prints lines page by page, so long output doesn't scroll out of view.
+ * Without a TTY everything is printed at once.
+ * @param {Array<string>} lines - The lines to print.
+ */
+async function printPaged(lines) {
+    const pageSize = Math.max(10, (process.stdout.rows || 24) - PROMPT_HEIGHT);
+    if (!process.stdin.isTTY || lines.length <= pageSize) {
+        console.log(lines.join('\n'));
+        return;
+    }
+
+    for (let start = 0; start < lines.length; start += pageSize) {
+        console.log(lines.slice(start, start + pageSize).join('\n'));
+        const remaining = lines.length - start - pageSize;
+        if (remaining <= 0) {
+            break;
+        }
+        const answer = await askUser(`-- ${remaining} more lines: press Enter to continue or 'q' to skip --`);
+        if (answer.trim().toLowerCase() === 'q') {
+            console.log(`[${remaining} lines skipped]`);
+            break;
+        }
+    }
+}
+
+/**
+ * Shows the diff between the current file and the content proposed for editFile.
+ * @param {object} params - { filePath, content } of the tool call.
+ */
+async function showEditDiff(params) {
+    let currentContent = null;
+    try {
+        currentContent = await fs.readFile(path.resolve(process.cwd(), params.filePath), 'utf-8');
+    } catch (error) {
+        // The file doesn't exist yet and will be created
+    }
+
+    const diff = createUnifiedDiff(
+        currentContent || '',
+        params.content,
+        currentContent === null ? '/dev/null' : `a/${params.filePath}`,
+        `b/${params.filePath}`
+    );
+
+    if (!diff) {
+        console.log(`\n(No changes to ${params.filePath})`);
+        return;
+    }
+
+    console.log('');
+    const diffText = process.stdout.isTTY ? colorizeDiff(diff) : diff;
+    await printPaged(diffText.trimEnd().split('\n'));
+}
+
+/**
+ * Splits the editor setting into the command and its arguments, e.g. "code --wait".
+ * Quotes group words with spaces; no shell is involved.
+ * @param {string} editor - The value of $VISUAL or $EDITOR.
+ * @returns {Array<string>} - The command followed by its arguments.
+ */
+function splitEditorCommand(editor) {
+    const words = [];
+    const wordPattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = wordPattern.exec(editor)) !== null) {
+        words.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return words;
+}
+
+/**
+ * Opens content in the user's editor ($VISUAL or $EDITOR) and returns the saved result.
+ * @param {string} filePath - The path of the edited file; only its extension is used for the temporary file.
+ * @param {string} content - The initial content.
+ * @returns {Promise<string|null>} - The edited content or null if the editor failed.
+ */
+async function openInEditor(filePath, content) {
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    const [command, ...args] = splitEditorCommand(editor);
+    // The path comes from the model, so the name is random; the extension is kept for syntax highlighting
+    const extension = path.extname(filePath).replace(/[^\w.]/g, '').slice(0, 16);
+    const tempFile = path.join(os.tmpdir(), `agent-edit-${crypto.randomBytes(8).toString('hex')}${extension}`);
+
+    // The editor needs a normal terminal, not the raw mode used by readline
+    const wasRaw = process.stdin.isTTY && process.stdin.isRaw;
+    try {
+        await fs.writeFile(tempFile, content, 'utf-8');
+        if (wasRaw) process.stdin.setRawMode(false);
+
+        const result = childProcess.spawnSync(command, [...args, tempFile], { stdio: 'inherit' });
+        if (result.error || result.status !== 0) {
+            console.error(`❌ Editor "${editor}" failed${result.error ? `: ${result.error.message}` : ` with exit code ${result.status}`}.`);
+            return null;
+        }
+        return await fs.readFile(tempFile, 'utf-8');
+    } catch (error) {
+        console.error(`❌ Could not open the editor: ${error.message}`);
+        return null;
+    } finally {
+        if (wasRaw) process.stdin.setRawMode(true);
+        await fs.unlink(tempFile).catch(() => {});
+    }
+}
+
+/**
+ * Shows the permission prompt for a single tool call.
+ * Deny and allow rules from the policy file are applied without asking; the answer
+ * 'always' approves the call and saves a matching allow rule to the policy file.
+ * For editFile the prompt shows a diff of the proposed change and offers a third
+ * answer, 'edit', which opens the proposed content in the user's editor. The edited
+ * content is stored back into params.content, so the tool writes what the user saved.
+ * @param {string} toolName - The name of the tool.
+ * @param {object} params - The parameters of the tool call.
+ * @returns {Promise<boolean>} - True if the user agrees, otherwise false.
+ */
+async function promptForPermission(toolName, params) {
+    const key = getPermissionKey(toolName, params);
+
+    // Rules from the policy file take precedence over approvals of this session
+    const policyDecision = await evaluatePermissionPolicy(toolName, params);
+    if (policyDecision === 'deny') {
+        console.error(`\n❌ Permission for "${toolName}" denied by ${POLICY_FILE}.\n`);
+        return false;
+    }
+    if (policyDecision === 'allow') {
+        return true;
+    }
+
+    // Tools passed via --allow-tools run without asking, unless a rule says 'ask'
+    if (policyDecision !== 'ask' && permissionMode.allowedTools.has(toolName)) {
+        return true;
+    }
+    if (!permissionMode.interactive) {
+        console.error(`❌ Permission for "${toolName}" denied: ${permissionMode.noPromptReason}. Use --allow-tools or ${POLICY_FILE} to allow it.`);
+        return false;
+    }
+
+    // If already approved, don't ask again (also covers approvals given while this request was queued).
+    // 'ask' rules always prompt.
+    if (policyDecision !== 'ask' && approvedPermissions.has(key)) {
+        return true;
+    }
+
+    // Create a meaningful question
+    let paramsInfo = '';
+    if (toolName === 'viewFile' && params.filePath) {
+        paramsInfo = `for the file "${params.filePath}"`;
+    } else if (toolName === 'listDirectory' && params.dirPath) {
+        paramsInfo = `for the directory "${params.dirPath}"`;
+    } else if ((toolName === 'searchFiles' || toolName === 'findFiles') && params.pattern) {
+        paramsInfo = `for "${params.pattern}" in "${params.dirPath}"`;
+    } else if (FILE_EDIT_TOOLS.includes(toolName) && params.filePath) {
+        paramsInfo = `for the file "${params.filePath}"`;
+    } else if (toolName === 'runCommand' && params.command) {
+        paramsInfo = `to run "${params.command}"`;
+    } else if (params && Object.keys(params).length > 0) {
+        // Plugin and MCP tools: show the arguments
+        const args = JSON.stringify(params);
+        paramsInfo = `with ${args.length > 140 ? `${args.slice(0, 137)}...` : args}`;
+    }
+
+    const canEdit = toolName === 'editFile' && params.filePath && typeof params.content === 'string';
+
+    while (true) {
+        if (canEdit) {
+            await showEditDiff(params);
+        }
+
+        // Display a clear, formatted message
+        console.log('\n┌─────────────────────────────────────────────┐');
+        console.log(`│ PERMISSION REQUIRED                          │`);
+        console.log('├─────────────────────────────────────────────┤');
+        console.log(`│ Tool: ${toolName.padEnd(36)} │`);
+        if (paramsInfo) {
+            const chunks = [];
+            let remaining = paramsInfo;
+            while (remaining.length > 0) {
+                const chunk = remaining.slice(0, 35);
+                chunks.push(chunk);
+                remaining = remaining.slice(35);
+            }
+            chunks.forEach((chunk, i) => {
+                const prefix = i === 0 ? '│ For: ' : '│      ';
+                console.log(`${prefix}${chunk.padEnd(36)} │`);
+            });
+        }
+        console.log('├─────────────────────────────────────────────┤');
+        if (canEdit) {
+            console.log(`│ Enter 'yes', 'no', 'always' or 'edit':      │`);
+        } else {
+            console.log(`│ Please enter 'yes', 'no' or 'always':       │`);
+        }
+        console.log('└─────────────────────────────────────────────┘');
+
+        // Perform the query
+        const input = (await askUser()).trim().toLowerCase();
+
+        if (canEdit && (input === 'edit' || input === 'e')) {
+            const editedContent = await openInEditor(params.filePath, params.content);
+            if (editedContent !== null) {
+                params.content = editedContent;
+            }
+            // Show the updated diff and ask again
+            continue;
+        }
+
+        const always = input === 'always' || input === 'a';
+        const approved = always || input === 'yes' || input === 'y';
+
+        // Provide feedback about approval/rejection to stdout
+        if (always) {
+            approvedPermissions.add(key);
+            try {
+                const rule = await addAllowRule(toolName, params);
+                console.log(`✅ Permission for "${toolName}" granted and saved to ${POLICY_FILE}: ${JSON.stringify(rule)}\n`);
+            } catch (error) {
+                console.log(`✅ Permission for "${toolName}" granted for this session only. ${error.message}\n`);
+            }
+        } else if (approved) {
+            approvedPermissions.add(key);
+            console.log(`✅ Permission for "${toolName}" granted.\n`);
+        } else {
+            console.log(`❌ Permission for "${toolName}" denied.\n`);
+        }
+
+        return approved;
+    }
+}
+
+/**
+ * Switches between interactive prompts and non-interactive permission handling.
+ * @param {object} options - { interactive, allowedTools, noPromptReason }.
+ * @param {boolean} options.interactive - False if permission prompts must not be shown.
+ * @param {Array<string>} options.allowedTools - Tools that may run without asking.
+ * @param {string} options.noPromptReason - Why there is no prompt, shown when a tool is denied.
+ */
+function setPermissionMode({ interactive = true, allowedTools = [], noPromptReason = 'no prompt is possible in non-interactive mode' }) {
+    permissionMode.interactive = interactive;
+    permissionMode.allowedTools = new Set(allowedTools);
+    permissionMode.noPromptReason = noPromptReason;
+}
+
 module.exports = {
+    setPermissionMode,
     hasPermission,
     requestPermission,
+    getApprovedPermissions,
+    revokePermission,
 };
@@ -0,0 +1,215 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesGlob, normalizeGlobPath } = require('./glob.js');
+const { SHELL_OPERATOR_PATTERN, getCommandPrefix } = require('./shell.js');
+
+// Project-level permission policy, relative to the workspace root
+const POLICY_FILE = path.join('.agent', 'permissions.json');
+
+// Rule lists in order of precedence: a matching deny rule wins over ask and allow
+const RULE_TYPES = ['deny', 'ask', 'allow'];
+
+// Parameters that contain a path and are matched against the "path" glob of a rule
+const PATH_PARAMS = ['filePath', 'dirPath'];
+
+// Programs that run the command given in their arguments, e.g. "sudo rm -rf build"
+const COMMAND_WRAPPERS = new Set(['sudo', 'env', 'command', 'exec', 'nohup', 'time', 'nice', 'timeout', 'xargs']);
+
+// Variable assignments before a command, e.g. "FOO=1 rm -rf build"
+const ASSIGNMENT_PATTERN = /^[A-Za-z_]\w*=/;
+
+/**
+ * Returns the absolute path of the policy file in the current workspace.
+ * @returns {string} - The absolute path.
+ */
+function getPolicyFilePath() {
+    return path.join(process.cwd(), POLICY_FILE);
+}
+
+/**
+ * Loads the permission policy. The file is read on every check, so edits apply immediately.
+ * @returns {Promise<object>} - { allow: [], deny: [], ask: [] }.
+ */
+async function loadPermissionPolicy() {
+    const policy = { allow: [], deny: [], ask: [] };
+    let fileContent;
+    try {
+        fileContent = await fs.readFile(getPolicyFilePath(), 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Warning: Could not read ${POLICY_FILE}: ${error.message}`);
+        }
+        return policy;
+    }
+
+    try {
+        const parsed = JSON.parse(fileContent);
+        for (const type of RULE_TYPES) {
+            if (Array.isArray(parsed[type])) {
+                policy[type] = parsed[type].filter(rule => rule && typeof rule.tool === 'string');
+            }
+        }
+    } catch (error) {
+        console.warn(`Warning: Ignoring ${POLICY_FILE}, it is not valid JSON: ${error.message}`);
+    }
+    return policy;
+}
+
+/**
+ * Splits a shell command into the commands it runs: the parts of chains, pipes, background jobs,
+ * command substitutions and redirections, each without leading variable assignments. Commands run
+ * by a wrapper like sudo or env are returned in addition to the wrapper command.
+ * @param {string} command - The shell command.
+ * @returns {Array<object>} - [{ words, wrapped }]; wrapped is true for commands found after a wrapper.
+ */
+function getExecutedCommands(command) {
+    const commands = [];
+    for (const part of command.split(SHELL_OPERATOR_PATTERN)) {
+        // Quotes, escapes, subshell parentheses and braces don't change which program runs
+        let words = part.split(/\s+/).map(word => word.replace(/['"\\(){}]/g, '')).filter(Boolean);
+        let wrapped = false;
+        while (words.length > 0) {
+            while (words.length > 0 && ASSIGNMENT_PATTERN.test(words[0])) {
+                words.shift();
+            }
+            if (words.length === 0) break;
+
+            words[0] = path.basename(words[0]);
+            commands.push({ words, wrapped });
+            if (!COMMAND_WRAPPERS.has(words[0])) break;
+
+            // Flags of the wrapper and numbers like the duration of timeout come before the wrapped command
+            words = words.slice(1);
+            while (words.length > 0 && /^(-|\d)/.test(words[0])) {
+                words.shift();
+            }
+            wrapped = true;
+        }
+    }
+    return commands;
+}
+
+/**
+ * Checks if a deny or ask rule's command prefix applies to one of the commands a shell command runs.
+ * After a wrapper, the prefix may appear anywhere, because option values like "sudo -u root" can't be told apart.
+ * @param {string} command - The shell command.
+ * @param {string} rulePrefix - The command prefix of the rule.
+ * @returns {boolean} - True if any executed command starts with (or, after a wrapper, contains) the prefix.
+ */
+function commandRunsPrefix(command, rulePrefix) {
+    const ruleWords = rulePrefix.trim().split(/\s+/);
+    const normalizedPrefix = ruleWords.join(' ');
+    return getExecutedCommands(command).some(({ words, wrapped }) => {
+        const prefix = getCommandPrefix(words.join(' '));
+        if (prefix === normalizedPrefix || prefix.startsWith(`${normalizedPrefix} `)) {
+            return true;
+        }
+        return wrapped && words.some((word, index) => ruleWords.every((ruleWord, offset) => words[index + offset] === ruleWord));
+    });
+}
+
+/**
+ * Checks if a rule matches a tool call.
+ * A rule matches the tool name ("*" for all tools) and, if given, a glob on the
+ * path parameter or a command prefix for runCommand.
+ * @param {object} rule - { tool, path?, command? }.
+ * @param {string} toolName - The name of the tool.
+ * @param {object} params - The parameters of the tool call.
+ * @param {string} type - The rule type ('allow', 'deny' or 'ask').
+ * @returns {boolean} - True if the rule applies.
+ */
+function ruleMatches(rule, toolName, params, type) {
+    if (rule.tool !== '*' && rule.tool !== toolName) {
+        return false;
+    }
+
+    if (rule.path !== undefined) {
+        const pathParam = PATH_PARAMS.find(name => typeof params[name] === 'string');
+        if (!pathParam || !matchesGlob(params[pathParam], rule.path)) {
+            return false;
+        }
+    }
+
+    if (rule.command !== undefined) {
+        if (typeof params.command !== 'string') {
+            return false;
+        }
+        if (type === 'allow') {
+            // Allow rules only cover exactly this prefix, never chained commands
+            return getCommandPrefix(params.command) === rule.command;
+        }
+        // Deny and ask rules apply if any command run by the shell command starts with the prefix
+        return commandRunsPrefix(params.command, rule.command);
+    }
+
+    return true;
+}
+
+/**
+ * Evaluates the permission policy for a tool call.
+ * @param {string} toolName - The name of the tool.
+ * @param {object} params - The parameters of the tool call.
+ * @returns {Promise<string|null>} - 'deny', 'ask', 'allow' or null if no rule matches.
+ */
+async function evaluatePermissionPolicy(toolName, params) {
+    const policy = await loadPermissionPolicy();
+    for (const type of RULE_TYPES) {
+        if (policy[type].some(rule => ruleMatches(rule, toolName, params, type))) {
+            return type;
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates the allow rule that covers exactly this tool call.
+ * @param {string} toolName - The name of the tool.
+ * @param {object} params - The parameters of the tool call.
+ * @returns {object} - The rule.
+ */
+function createAllowRule(toolName, params) {
+    const rule = { tool: toolName };
+    const pathParam = PATH_PARAMS.find(name => typeof params[name] === 'string');
+    if (pathParam) {
+        rule.path = normalizeGlobPath(params[pathParam]);
+    }
+    if (toolName === 'runCommand' && typeof params.command === 'string') {
+        rule.command = getCommandPrefix(params.command);
+    }
+    return rule;
+}
+
+/**
+ * Adds an allow rule for a tool call to the policy file.
+ * @param {string} toolName - The name of the tool.
+ * @param {object} params - The parameters of the tool call.
+ * @returns {Promise<object>} - The added rule.
+ */
+async function addAllowRule(toolName, params) {
+    const filePath = getPolicyFilePath();
+    let policy = {};
+    try {
+        policy = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            // Don't overwrite a file we couldn't understand
+            throw new Error(`Could not update ${POLICY_FILE}: ${error.message}`);
+        }
+    }
+
+    const rule = createAllowRule(toolName, params);
+    policy.allow = Array.isArray(policy.allow) ? policy.allow : [];
+    if (!policy.allow.some(existing => JSON.stringify(existing) === JSON.stringify(rule))) {
+        policy.allow.push(rule);
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(policy, null, 2) + '\n', 'utf-8');
+    return rule;
+}
+
+module.exports = {
+    POLICY_FILE,
+    evaluatePermissionPolicy,
+    addAllowRule,
+};
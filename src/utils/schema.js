@@ -0,0 +1,92 @@
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {any} value - The value to check.
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean', 'object' or typeof.
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Checks a value against one type name; integers are numbers as well.
+ * @param {any} value - The value to check.
+ * @param {string} type - The type from the schema.
+ * @returns {boolean} - True if the value has this type.
+ */
+function matchesType(value, type) {
+    const actualType = getJsonType(value);
+    if (type === 'number') return actualType === 'number' || actualType === 'integer';
+    return actualType === type;
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by tool input schemas and settings:
+ * type, required, properties, additionalProperties, items, enum, const, minimum and maximum.
+ * Other keywords are ignored, so schemas of plugins and MCP servers never fail because of them.
+ * @param {any} value - The value to validate.
+ * @param {object} schema - The JSON Schema.
+ * @param {string} valuePath - The name of the value in error messages.
+ * @returns {Array<string>} - The problems found, empty if the value is valid.
+ */
+function validateSchema(value, schema, valuePath = 'input') {
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            // Further checks would only repeat the same problem
+            return [`${valuePath} must be ${types.join(' or ')}, got ${getJsonType(value)}`];
+        }
+    }
+
+    const problems = [];
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        problems.push(`${valuePath} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        problems.push(`${valuePath} must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            problems.push(`${valuePath} must be at least ${schema.minimum}, got ${value}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            problems.push(`${valuePath} must be at most ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (getJsonType(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                problems.push(`${valuePath}.${name} is required`);
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                problems.push(...validateSchema(propertyValue, properties[name], `${valuePath}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${valuePath}.${name} is not allowed (allowed: ${Object.keys(properties).join(', ') || 'none'})`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                problems.push(...validateSchema(propertyValue, schema.additionalProperties, `${valuePath}.${name}`));
+            }
+        }
+    }
+
+    if (getJsonType(value) === 'array' && schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+        value.forEach((item, index) => {
+            problems.push(...validateSchema(item, schema.items, `${valuePath}[${index}]`));
+        });
+    }
+
+    return problems;
+}
+
+module.exports = {
+    validateSchema,
+};
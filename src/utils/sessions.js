@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { repairUnpairedToolUses } = require('./messages.js');
+
+// Directory for session transcripts, relative to the workspace root
+const SESSIONS_DIR = path.join('.agent', 'sessions');
+
+// Version of the transcript format, stored in the first line of every file
+const TRANSCRIPT_VERSION = 1;
+
+/**
+ * Returns the absolute path of the sessions directory in the current workspace.
+ * @returns {string} - The absolute path.
+ */
+function getSessionsDir() {
+    return path.join(process.cwd(), SESSIONS_DIR);
+}
+
+/**
+ * Creates a new session. The transcript file is only written once the first message is saved.
+ * @returns {object} - { id, filePath, createdAt, savedCount }.
+ */
+function createSession() {
+    const id = crypto.randomUUID();
+    return {
+        id,
+        filePath: path.join(getSessionsDir(), `${id}.jsonl`),
+        createdAt: new Date().toISOString(),
+        savedCount: 0,
+    };
+}
+
+/**
+ * Creates a JSONL line for a message record.
+ * @param {object} message - The message object.
+ * @returns {string} - The line including the trailing newline.
+ */
+function formatMessageRecord(message) {
+    return JSON.stringify({ type: 'message', timestamp: new Date().toISOString(), message }) + '\n';
+}
+
+/**
+ * Saves all messages that are not yet in the transcript.
+ * New messages are appended; if the history got shorter (e.g. after /clear or compaction),
+ * the transcript is rewritten completely.
+ * @param {object} session - The session from createSession() or loadSession().
+ * @param {Array<object>} messages - The complete conversation history.
+ * @param {boolean} rewrite - Forces a complete rewrite, e.g. after messages were replaced.
+ */
+async function saveSessionMessages(session, messages, rewrite = false) {
+    if (messages.length === session.savedCount && !rewrite) {
+        return;
+    }
+
+    await fs.mkdir(path.dirname(session.filePath), { recursive: true });
+
+    if (rewrite || messages.length < session.savedCount || session.savedCount === 0) {
+        const header = JSON.stringify({
+            type: 'session',
+            version: TRANSCRIPT_VERSION,
+            id: session.id,
+            createdAt: session.createdAt,
+            cwd: process.cwd(),
+        }) + '\n';
+        await fs.writeFile(session.filePath, header + messages.map(formatMessageRecord).join(''), 'utf-8');
+    } else {
+        await fs.appendFile(session.filePath, messages.slice(session.savedCount).map(formatMessageRecord).join(''), 'utf-8');
+    }
+
+    session.savedCount = messages.length;
+}
+
+/**
+ * Reads a transcript file.
+ * @param {string} filePath - The path of the JSONL file.
+ * @returns {Promise<object>} - { meta, messages, updatedAt }.
+ */
+async function readTranscript(filePath) {
+    const [content, stats] = await Promise.all([fs.readFile(filePath, 'utf-8'), fs.stat(filePath)]);
+    let meta = null;
+    const messages = [];
+
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            // A crash can leave a half-written last line
+            console.warn(`Warning: Skipping unreadable line in ${path.basename(filePath)}`);
+            continue;
+        }
+        if (record.type === 'session') {
+            meta = record;
+        } else if (record.type === 'message' && record.message) {
+            messages.push(record.message);
+        }
+    }
+
+    return { meta, messages, updatedAt: stats.mtime };
+}
+
+/**
+ * Lists all saved sessions of the workspace, newest first.
+ * @returns {Promise<Array<object>>} - [{ id, createdAt, updatedAt, firstPrompt, messageCount }].
+ */
+async function listSessions() {
+    let fileNames;
+    try {
+        fileNames = await fs.readdir(getSessionsDir());
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const sessions = [];
+    for (const fileName of fileNames.filter(name => name.endsWith('.jsonl'))) {
+        try {
+            const { meta, messages, updatedAt } = await readTranscript(path.join(getSessionsDir(), fileName));
+            const firstPrompt = messages.find(message => message.role === 'user' && typeof message.content === 'string');
+            sessions.push({
+                id: meta?.id || path.basename(fileName, '.jsonl'),
+                createdAt: meta?.createdAt || updatedAt.toISOString(),
+                updatedAt: updatedAt.toISOString(),
+                firstPrompt: firstPrompt ? firstPrompt.content : '',
+                messageCount: messages.length,
+            });
+        } catch (error) {
+            console.warn(`Warning: Could not read session ${fileName}: ${error.message}`);
+        }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Loads a saved session. Tool uses without a result (from an interrupted run) are repaired.
+ * @param {string|null} id - The session id or a unique prefix of it; null loads the latest session.
+ * @returns {Promise<object>} - { session, messages, repairedCount }.
+ * @throws {Error} - If no matching session exists.
+ */
+async function loadSession(id = null) {
+    const sessions = await listSessions();
+    let match;
+    if (id === null) {
+        match = sessions[0];
+        if (!match) throw new Error(`No saved sessions found in ${SESSIONS_DIR}.`);
+    } else {
+        const candidates = sessions.filter(session => session.id.startsWith(id));
+        if (candidates.length > 1) throw new Error(`Session id "${id}" is ambiguous, it matches ${candidates.length} sessions.`);
+        match = candidates[0];
+        if (!match) throw new Error(`Session "${id}" not found in ${SESSIONS_DIR}.`);
+    }
+
+    const filePath = path.join(getSessionsDir(), `${match.id}.jsonl`);
+    const { messages } = await readTranscript(filePath);
+    const repairedCount = repairUnpairedToolUses(messages);
+
+    const session = { id: match.id, filePath, createdAt: match.createdAt, savedCount: 0 };
+    // Rewrite once, so the transcript contains the repaired history
+    await saveSessionMessages(session, messages, true);
+
+    return { session, messages, repairedCount };
+}
+
+module.exports = {
+    SESSIONS_DIR,
+    createSession,
+    saveSessionMessages,
+    listSessions,
+    loadSession,
+};
@@ -0,0 +1,179 @@
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Shell operators that chain or redirect commands. Commands containing them never share a permission prefix.
+const SHELL_OPERATOR_PATTERN = /[;&|<>`\n]|\$\(/;
+
+// Interpreters, wrappers and destructive programs: their arguments decide what they do,
+// so their commands never share a permission prefix either
+const UNGENERALIZED_EXECUTABLES = new Set([
+    'sh', 'bash', 'zsh', 'fish', 'dash', 'node', 'deno', 'bun', 'python', 'python3', 'perl', 'ruby', 'php',
+    'npx', 'env', 'sudo', 'su', 'xargs', 'eval', 'exec', 'nohup', 'timeout', 'watch',
+    'rm', 'rmdir', 'mv', 'dd', 'mkfs', 'shred', 'chmod', 'chown', 'kill', 'killall', 'pkill',
+    'curl', 'wget', 'ssh', 'scp', 'find',
+]);
+
+// Time a command has to exit after SIGTERM before it is killed with SIGKILL
+const KILL_GRACE_PERIOD_MS = 2000;
+
+// Time to wait for the output streams to close after SIGKILL before the result is returned anyway
+const KILL_SETTLE_TIMEOUT_MS = 1000;
+
+/**
+ * Determines the permission prefix of a shell command.
+ * The prefix is the executable plus its first subcommand (e.g. "npm test", "git status"),
+ * so approving one command does not approve unrelated commands of the same program.
+ * Commands whose second word is not a plain subcommand (a flag or path, e.g. "rm -rf build"),
+ * commands of interpreters and destructive programs, and commands that chain or redirect
+ * use the complete command as prefix.
+ * @param {string} command - The shell command.
+ * @returns {string} - The command prefix used for permission keys.
+ */
+function getCommandPrefix(command) {
+    const trimmed = (command || '').trim();
+    if (SHELL_OPERATOR_PATTERN.test(trimmed)) {
+        return trimmed;
+    }
+
+    const words = trimmed.split(/\s+/);
+    const [executable, subcommand] = words;
+    if (!subcommand || UNGENERALIZED_EXECUTABLES.has(path.basename(executable))) {
+        return words.join(' ');
+    }
+    // Only plain words count as subcommands, flags and paths don't
+    if (/^[a-zA-Z][\w:-]*$/.test(subcommand)) {
+        return `${executable} ${subcommand}`;
+    }
+    return words.join(' ');
+}
+
+/**
+ * Appends a chunk to captured output without exceeding the maximum length.
+ * @param {object} output - { text, truncated } of the stream.
+ * @param {Buffer} chunk - The new data.
+ * @param {number} maxLength - The maximum number of characters to keep.
+ */
+function appendOutput(output, chunk, maxLength) {
+    if (output.truncated) return;
+    const text = chunk.toString('utf-8');
+    const remaining = maxLength - output.text.length;
+    if (text.length > remaining) {
+        output.text += text.slice(0, remaining);
+        output.truncated = true;
+    } else {
+        output.text += text;
+    }
+}
+
+/**
+ * Runs a shell command and captures its output.
+ * The process runs in its own process group so that a timeout or abort also stops its children.
+ * @param {string} command - The shell command to execute.
+ * @param {object} options - { cwd, timeoutMs, maxOutputLength, abortSignal, onOutput }.
+ *   onOutput(text, streamName) is called with every chunk of stdout and stderr as it arrives.
+ * @returns {Promise<object>} - { exitCode, signal, stdout, stderr, stdoutTruncated, stderrTruncated, timedOut, aborted }.
+ */
+function runShellCommand(command, { cwd, timeoutMs, maxOutputLength, abortSignal = null, onOutput = null }) {
+    return new Promise((resolve, reject) => {
+        const stdout = { text: '', truncated: false };
+        const stderr = { text: '', truncated: false };
+        let timedOut = false;
+        let aborted = false;
+        let settled = false;
+        let killTimer = null;
+        let settleTimer = null;
+
+        const child = spawn(command, {
+            cwd,
+            shell: true,
+            detached: process.platform !== 'win32',
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+
+        const sendSignal = (signal) => {
+            try {
+                if (process.platform !== 'win32') {
+                    process.kill(-child.pid, signal);
+                } else {
+                    child.kill(signal);
+                }
+            } catch (e) { /* Process already exited */ }
+        };
+
+        // SIGTERM first; a process that ignores it is killed after the grace period, and if the
+        // output streams still don't close, the result is returned without waiting for them
+        const killProcess = () => {
+            if (killTimer) return;
+            sendSignal('SIGTERM');
+            killTimer = setTimeout(() => {
+                sendSignal('SIGKILL');
+                settleTimer = setTimeout(() => {
+                    child.stdout.destroy();
+                    child.stderr.destroy();
+                    finish(null, 'SIGKILL');
+                }, KILL_SETTLE_TIMEOUT_MS);
+            }, KILL_GRACE_PERIOD_MS);
+        };
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killProcess();
+        }, timeoutMs);
+
+        const onAbort = () => {
+            aborted = true;
+            killProcess();
+        };
+        if (abortSignal) {
+            if (abortSignal.aborted) onAbort();
+            else abortSignal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        child.stdout.on('data', chunk => {
+            appendOutput(stdout, chunk, maxOutputLength);
+            if (onOutput) onOutput(chunk.toString(), 'stdout');
+        });
+        child.stderr.on('data', chunk => {
+            appendOutput(stderr, chunk, maxOutputLength);
+            if (onOutput) onOutput(chunk.toString(), 'stderr');
+        });
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            clearTimeout(settleTimer);
+            if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
+        };
+
+        const finish = (exitCode, signal) => {
+            if (settled) return;
+            settled = true;
+            cleanup();
+            resolve({
+                exitCode,
+                signal,
+                stdout: stdout.text,
+                stderr: stderr.text,
+                stdoutTruncated: stdout.truncated,
+                stderrTruncated: stderr.truncated,
+                timedOut,
+                aborted,
+            });
+        };
+
+        child.on('error', (error) => {
+            if (settled) return;
+            settled = true;
+            cleanup();
+            reject(error);
+        });
+
+        child.on('close', finish);
+    });
+}
+
+module.exports = {
+    SHELL_OPERATOR_PATTERN,
+    getCommandPrefix,
+    runShellCommand,
+};
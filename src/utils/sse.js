@@ -0,0 +1,124 @@
+/**
+ * Creates an incremental Server-Sent Events decoder following the HTML specification
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation):
+ * - lines end with "\r\n", "\n" or "\r", also when split across chunks
+ * - lines starting with ":" are comments
+ * - "field: value" and "field:value" are equivalent, only one leading space is removed
+ * - multiple "data" lines of an event are joined with "\n"
+ * - an event is dispatched at a blank line; events without data are ignored
+ * - an incomplete event at the end of the stream is discarded
+ * @returns {object} - { push(text): Array<object>, end(): Array<object> } returning events { event, data, id }.
+ */
+function createSSEDecoder() {
+    let buffer = '';
+    let isFirstChunk = true;
+    let eventType = '';
+    let dataLines = [];
+    let lastEventId = '';
+    // A "\r" at the end of a chunk may be followed by "\n" in the next one
+    let pendingCarriageReturn = false;
+
+    const processLine = (line, events) => {
+        if (line === '') {
+            // Blank line: dispatch the collected event
+            if (dataLines.length > 0) {
+                events.push({ event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId });
+            }
+            eventType = '';
+            dataLines = [];
+            return;
+        }
+        if (line.startsWith(':')) {
+            return; // Comment, e.g. keep-alive
+        }
+
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+        let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        switch (field) {
+            case 'event':
+                eventType = value;
+                break;
+            case 'data':
+                dataLines.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) lastEventId = value;
+                break;
+            default:
+                // "retry" and unknown fields are not needed by this client
+                break;
+        }
+    };
+
+    return {
+        push(text) {
+            if (isFirstChunk) {
+                text = text.replace(/^\uFEFF/, ''); // Byte order mark
+                isFirstChunk = false;
+            }
+            if (pendingCarriageReturn && text.startsWith('\n')) {
+                text = text.slice(1);
+            }
+            pendingCarriageReturn = false;
+
+            buffer += text;
+            const events = [];
+            const lineBreak = /\r\n|\r|\n/g;
+            let lineStart = 0;
+            let match;
+            while ((match = lineBreak.exec(buffer)) !== null) {
+                // A trailing "\r" could be the first half of "\r\n", it is handled with the next chunk
+                if (match[0] === '\r' && match.index === buffer.length - 1) {
+                    pendingCarriageReturn = true;
+                }
+                processLine(buffer.slice(lineStart, match.index), events);
+                lineStart = match.index + match[0].length;
+            }
+            buffer = buffer.slice(lineStart);
+            return events;
+        },
+
+        end() {
+            // Per specification the unterminated last event is not dispatched
+            buffer = '';
+            eventType = '';
+            dataLines = [];
+            return [];
+        },
+    };
+}
+
+/**
+ * Reads a fetch response body and yields its Server-Sent Events.
+ * @param {ReadableStream} body - The response body.
+ * @yields {object} - { event, data, id } for every complete event.
+ */
+async function* parseSSEStream(body) {
+    const reader = body.getReader();
+    const textDecoder = new TextDecoder('utf-8');
+    const sseDecoder = createSSEDecoder();
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            yield* sseDecoder.push(textDecoder.decode(value, { stream: true }));
+        }
+        yield* sseDecoder.push(textDecoder.decode());
+        yield* sseDecoder.end();
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+module.exports = {
+    createSSEDecoder,
+    parseSSEStream,
+};
@@ -0,0 +1,184 @@
+const { formatToolUseForDisplay, formatToolResultForDisplay } = require('./messages.js');
+
+const COLORS = {
+    reset: '\x1b[0m',
+    dim: '\x1b[2m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+};
+
+const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const SPINNER_INTERVAL_MS = 100;
+
+// Longer results are collapsed to this many lines; /expand shows them completely
+const COLLAPSED_RESULT_LINES = 6;
+
+// Number of collapsed results that can still be expanded
+const MAX_EXPANDABLE_RESULTS = 20;
+
+/**
+ * Formats a duration for display, e.g. "850ms" or "3.2s".
+ * @param {number} durationMs - The duration in milliseconds.
+ * @returns {string} - The formatted duration.
+ */
+function formatDuration(durationMs) {
+    if (durationMs < 1000) return `${durationMs}ms`;
+    if (durationMs < 60000) return `${(durationMs / 1000).toFixed(1)}s`;
+    return `${Math.floor(durationMs / 60000)}m ${Math.round((durationMs % 60000) / 1000)}s`;
+}
+
+/**
+ * Creates the renderer for the 'tool_status' events of query() in the REPL.
+ * Running tools are shown on one spinner line with their duration and latest progress;
+ * finished tools get a status line with a collapsed preview of their result.
+ * @param {object} stream - The output stream, defaults to process.stdout.
+ * @returns {object} - { handle(event), stop(), expand(number) }.
+ */
+function createToolRenderer(stream = process.stdout) {
+    const isTerminal = Boolean(stream.isTTY);
+    const color = (name, text) => (isTerminal ? `${COLORS[name]}${text}${COLORS.reset}` : text);
+
+    const runningTools = new Map(); // toolUseId -> { label, startTime, progress }
+    const awaitingPermission = new Set();
+    const labels = new Map(); // toolUseId -> display label
+    const expandableResults = []; // { number, label, text }
+    let nextResultNumber = 1;
+    let spinnerTimer = null;
+    let spinnerFrame = 0;
+    let isSpinnerVisible = false;
+
+    const clearSpinner = () => {
+        if (isSpinnerVisible) {
+            stream.write('\r\x1b[2K');
+            isSpinnerVisible = false;
+        }
+    };
+
+    const renderSpinner = () => {
+        // The permission prompt must not be overwritten
+        if (!isTerminal || runningTools.size === 0 || awaitingPermission.size > 0) {
+            clearSpinner();
+            return;
+        }
+
+        const now = Date.now();
+        const parts = [...runningTools.values()].map(({ label, startTime, progress }) =>
+            `${label} ${formatDuration(now - startTime)}${progress ? ` · ${progress}` : ''}`);
+        const frame = SPINNER_FRAMES[spinnerFrame++ % SPINNER_FRAMES.length];
+        let line = `${frame} ${parts.join(', ')}`;
+        const maxWidth = (stream.columns || 80) - 1;
+        if (line.length > maxWidth) {
+            line = `${line.slice(0, maxWidth - 3)}...`;
+        }
+        stream.write(`\r\x1b[2K${color('dim', line)}`);
+        isSpinnerVisible = true;
+    };
+
+    const updateSpinner = () => {
+        if (runningTools.size > 0 && !spinnerTimer && isTerminal) {
+            spinnerTimer = setInterval(renderSpinner, SPINNER_INTERVAL_MS);
+            spinnerTimer.unref();
+        } else if (runningTools.size === 0 && spinnerTimer) {
+            clearInterval(spinnerTimer);
+            spinnerTimer = null;
+        }
+        renderSpinner();
+    };
+
+    // Prints a result indented below its status line, collapsed if it is long
+    const printResult = (label, text) => {
+        const lines = text.replace(/\s+$/, '').split('\n');
+        if (lines.length === 1 && lines[0] === '') return;
+
+        for (const line of lines.slice(0, COLLAPSED_RESULT_LINES)) {
+            stream.write(`${color('dim', '  │')} ${line}\n`);
+        }
+        if (lines.length > COLLAPSED_RESULT_LINES) {
+            const number = nextResultNumber++;
+            expandableResults.push({ number, label, text });
+            if (expandableResults.length > MAX_EXPANDABLE_RESULTS) {
+                expandableResults.shift();
+            }
+            stream.write(color('dim', `  └ ${lines.length - COLLAPSED_RESULT_LINES} more lines (/expand ${number})\n`));
+        }
+    };
+
+    return {
+        /**
+         * Renders a 'tool_status' event.
+         * @param {object} event - The event from query().
+         */
+        handle(event) {
+            const { status, toolUseId } = event;
+            if (event.input !== undefined) {
+                labels.set(toolUseId, formatToolUseForDisplay({ name: event.toolName, input: event.input }));
+            }
+            const label = labels.get(toolUseId) || event.toolName;
+
+            clearSpinner();
+            switch (status) {
+                case 'started':
+                    awaitingPermission.delete(toolUseId);
+                    runningTools.set(toolUseId, { label, startTime: Date.now(), progress: '' });
+                    break;
+                case 'awaiting_permission':
+                    awaitingPermission.add(toolUseId);
+                    runningTools.delete(toolUseId);
+                    break;
+                case 'progress': {
+                    const running = runningTools.get(toolUseId);
+                    if (running) running.progress = event.message.slice(0, 80);
+                    break;
+                }
+                case 'completed':
+                    stream.write(`${color('green', '✓')} ${label} ${color('dim', `(${event.cached ? 'cached' : formatDuration(event.durationMs)})`)}\n`);
+                    printResult(label, formatToolResultForDisplay(event.toolName, event.result));
+                    break;
+                case 'failed':
+                    stream.write(`${color('red', '✗')} ${label} ${color('dim', `(failed after ${formatDuration(event.durationMs)})`)}\n`);
+                    printResult(label, event.error);
+                    break;
+                case 'denied':
+                    stream.write(`${color('yellow', '⊘')} ${label} ${color('dim', '(permission denied)')}\n`);
+                    break;
+            }
+
+            if (['completed', 'failed', 'denied'].includes(status)) {
+                runningTools.delete(toolUseId);
+                awaitingPermission.delete(toolUseId);
+                labels.delete(toolUseId);
+            }
+            updateSpinner();
+        },
+
+        /**
+         * Stops the spinner, e.g. when the request is aborted.
+         */
+        stop() {
+            runningTools.clear();
+            awaitingPermission.clear();
+            updateSpinner();
+        },
+
+        /**
+         * Prints a collapsed result completely.
+         * @param {number|null} number - The number shown with the result; the latest one if null.
+         * @returns {boolean} - False if there is no such result (anymore).
+         */
+        expand(number = null) {
+            const entry = number === null
+                ? expandableResults[expandableResults.length - 1]
+                : expandableResults.find(result => result.number === number);
+            if (!entry) return false;
+
+            stream.write(`\n${entry.label}:\n${entry.text.replace(/\s+$/, '')}\n\n`);
+            return true;
+        },
+    };
+}
+
+module.exports = {
+    createToolRenderer,
+    formatDuration,
+};
@@ -0,0 +1,156 @@
+const { MODEL_PRICES, MAX_BUDGET_USD } = require('../config.js');
+
+/**
+ * Creates an empty usage record.
+ * @returns {object} - { inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens, costUsd, apiCalls }.
+ */
+function createEmptyUsage() {
+    return {
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationInputTokens: 0,
+        cacheReadInputTokens: 0,
+        costUsd: 0,
+        // False as soon as one call used a model without a price in MODEL_PRICES
+        costKnown: true,
+        apiCalls: 0,
+    };
+}
+
+/**
+ * Updates the usage of a single API call from a normalized provider event.
+ * 'usage' events carry the token counts known so far; later values replace earlier ones.
+ * @param {object} event - The provider event.
+ * @param {object} callUsage - The usage of the current call, modified in place.
+ */
+function applyUsageEvent(event, callUsage) {
+    if (event.type !== 'usage') return;
+    for (const field of ['model', 'inputTokens', 'outputTokens', 'cacheCreationInputTokens', 'cacheReadInputTokens']) {
+        if (event[field] !== undefined) callUsage[field] = event[field];
+    }
+}
+
+/**
+ * Finds the prices of a model. Keys of MODEL_PRICES match model ids by prefix,
+ * so "claude-3-5-sonnet" covers all dated versions.
+ * @param {string} model - The model id.
+ * @returns {object|null} - { input, output, cacheWrite, cacheRead } in USD per million tokens, or null.
+ */
+function getModelPrices(model) {
+    if (!model) return null;
+    const key = Object.keys(MODEL_PRICES)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? MODEL_PRICES[key] : null;
+}
+
+/**
+ * Calculates the cost of an API call.
+ * @param {object} callUsage - The token counts of the call.
+ * @param {string} model - The model id.
+ * @returns {number|null} - The cost in USD or null if the model has no prices.
+ */
+function calculateCost(callUsage, model) {
+    const prices = getModelPrices(model);
+    if (!prices) return null;
+    return (callUsage.inputTokens * prices.input
+        + callUsage.outputTokens * prices.output
+        + callUsage.cacheCreationInputTokens * prices.cacheWrite
+        + callUsage.cacheReadInputTokens * prices.cacheRead) / 1000000;
+}
+
+/**
+ * Adds the usage of one call to a total.
+ * @param {object} total - The usage record to update.
+ * @param {object} callUsage - The usage of the call including costUsd and apiCalls.
+ */
+function addUsage(total, callUsage) {
+    total.inputTokens += callUsage.inputTokens;
+    total.outputTokens += callUsage.outputTokens;
+    total.cacheCreationInputTokens += callUsage.cacheCreationInputTokens;
+    total.cacheReadInputTokens += callUsage.cacheReadInputTokens;
+    if (callUsage.costUsd === null) {
+        total.costKnown = false;
+    } else {
+        total.costUsd += callUsage.costUsd;
+    }
+    total.apiCalls += callUsage.apiCalls;
+}
+
+// Global usage tracker for the running session
+const usageTracker = {
+    turn: createEmptyUsage(),
+    session: createEmptyUsage(),
+    budgetUsd: MAX_BUDGET_USD,
+
+    /**
+     * Starts a new turn (one call of query()).
+     */
+    startTurn() {
+        this.turn = createEmptyUsage();
+    },
+
+    /**
+     * Records a completed API call.
+     * @param {object} callUsage - The token counts from applyUsageEvent.
+     * @param {string} model - The model used when the response didn't name one.
+     * @returns {object} - The call usage including costUsd.
+     */
+    recordApiCall(callUsage, model) {
+        const usedModel = callUsage.model || model;
+        const recorded = {
+            ...createEmptyUsage(),
+            ...callUsage,
+            model: usedModel,
+            costUsd: calculateCost(callUsage, usedModel),
+            apiCalls: 1,
+        };
+        addUsage(this.turn, recorded);
+        addUsage(this.session, recorded);
+        return recorded;
+    },
+
+    /**
+     * Sets the spending limit of the session.
+     * @param {number|null} budgetUsd - The budget in USD, null for no limit.
+     */
+    setBudget(budgetUsd) {
+        this.budgetUsd = budgetUsd;
+    },
+
+    /**
+     * Checks if the session has spent its budget.
+     * @returns {boolean} - True if a budget is set and reached.
+     */
+    isBudgetExceeded() {
+        return this.budgetUsd !== null && this.budgetUsd !== undefined && this.session.costUsd >= this.budgetUsd;
+    },
+
+    /**
+     * Resets all counters, e.g. for a new session.
+     */
+    reset() {
+        this.turn = createEmptyUsage();
+        this.session = createEmptyUsage();
+    }
+};
+
+/**
+ * Formats a usage record as a short, human readable line.
+ * @param {object} usage - The usage record.
+ * @returns {string} - E.g. "1,234 in · 567 out · 0 cache write · 890 cache read · $0.0123".
+ */
+function formatUsage(usage) {
+    const number = value => value.toLocaleString('en-US');
+    const cost = usage.costKnown ? `$${usage.costUsd.toFixed(4)}` : `≥ $${usage.costUsd.toFixed(4)} (unknown model prices)`;
+    return `${number(usage.inputTokens)} in · ${number(usage.outputTokens)} out · `
+        + `${number(usage.cacheCreationInputTokens)} cache write · ${number(usage.cacheReadInputTokens)} cache read · ${cost}`;
+}
+
+module.exports = {
+    usageTracker,
+    applyUsageEvent,
+    getModelPrices,
+    calculateCost,
+    formatUsage,
+};
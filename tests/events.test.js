@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_SCHEMA_VERSION, serializeEvent } = require('../src/utils/events.js');
+
+test('serializes compacted events with snake_case fields', () => {
+    const event = { type: 'compacted', summarizedCount: 12, tokensBefore: 90000, tokensAfter: 8000 };
+
+    assert.deepEqual(serializeEvent(event), {
+        schema_version: EVENT_SCHEMA_VERSION,
+        type: 'compacted',
+        summarized_count: 12,
+        tokens_before: 90000,
+        tokens_after: 8000,
+    });
+});
+
+test('serializes errors inside events', () => {
+    const error = Object.assign(new Error('Overloaded'), { status: 529 });
+    const serialized = serializeEvent({ type: 'error', error });
+
+    assert.equal(serialized.error.name, 'Error');
+    assert.equal(serialized.error.message, 'Overloaded');
+    assert.equal(serialized.error.status, 529);
+});
@@ -0,0 +1,55 @@
+// Minimal MCP server over stdio for the tests of src/services/mcp.js.
+// Tools: "echo" answers, "hang" never answers, "crash" exits the process, "fail" returns isError.
+// tools/list is split into two pages. STUB_MODE=silent never answers initialize.
+const readline = require('readline');
+
+const send = message => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+const PAGES = {
+    first: { tools: [{ name: 'echo', description: 'Echoes the text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } }, annotations: { readOnlyHint: true } }], nextCursor: 'page2' },
+    page2: { tools: [{ name: 'hang' }, { name: 'crash' }, { name: 'fail' }] },
+};
+
+const received = [];
+
+// Servers may log to stdout and stderr; the client ignores lines that are not JSON
+process.stdout.write('stub server starting\n');
+process.stderr.write('stub stderr output\n');
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+    const message = JSON.parse(line);
+    received.push(message.method);
+
+    switch (message.method) {
+        case 'initialize':
+            if (process.env.STUB_MODE === 'silent') return;
+            send({ jsonrpc: '2.0', id: message.id, result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stub', version: '1.0.0' } } });
+            break;
+        case 'notifications/initialized':
+            // The client must answer requests from the server
+            send({ jsonrpc: '2.0', id: 'server-ping', method: 'ping' });
+            break;
+        case 'tools/list':
+            send({ jsonrpc: '2.0', id: message.id, result: PAGES[message.params.cursor || 'first'] });
+            break;
+        case 'tools/call': {
+            const { name, arguments: args } = message.params;
+            if (name === 'echo') {
+                send({ jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text: `echo: ${args.text}` }] } });
+            } else if (name === 'received') {
+                send({ jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text: received.join(',') }] } });
+            } else if (name === 'crash') {
+                process.stderr.write('stub crashed\n');
+                process.exit(3);
+            } else if (name === 'fail') {
+                send({ jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text: 'it failed' }], isError: true } });
+            }
+            // "hang" never answers
+            break;
+        }
+        default:
+            if (message.id !== undefined && message.method) {
+                send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Unknown method ${message.method}` } });
+            }
+    }
+});
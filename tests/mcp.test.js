@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { McpClient, McpError } = require('../src/services/mcp.js');
+
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'mcp-stub-server.js');
+
+/**
+ * Creates a client for the stub server; it is closed after the test.
+ * @param {object} t - The test context.
+ * @param {object} config - Additional server configuration.
+ * @returns {McpClient} - The client.
+ */
+function createClient(t, config = {}) {
+    const client = new McpClient('stub', { command: process.execPath, args: [STUB_SERVER], ...config });
+    t.after(() => client.close());
+    return client;
+}
+
+test('performs the initialize handshake', async (t) => {
+    const client = createClient(t);
+    const result = await client.connect();
+
+    assert.equal(result.protocolVersion, '2024-11-05');
+    assert.deepEqual(client.serverInfo, { name: 'stub', version: '1.0.0' });
+
+    // The initialized notification was sent and the server's ping was answered
+    const received = await client.request('tools/call', { name: 'received', arguments: {} }, { timeoutMs: 5000 });
+    assert.match(received.content[0].text, /^initialize,notifications\/initialized/);
+});
+
+test('lists tools across pages', async (t) => {
+    const client = createClient(t);
+    await client.connect();
+
+    const tools = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name), ['echo', 'hang', 'crash', 'fail']);
+    assert.equal(tools[0].annotations.readOnlyHint, true);
+});
+
+test('calls a tool', async (t) => {
+    const client = createClient(t);
+    await client.connect();
+
+    assert.deepEqual(await client.callTool('echo', { text: 'hi' }), { content: [{ type: 'text', text: 'echo: hi' }] });
+    assert.equal((await client.callTool('fail', {})).isError, true);
+});
+
+test('rejects unknown methods with the JSON-RPC error', async (t) => {
+    const client = createClient(t);
+    await client.connect();
+
+    await assert.rejects(client.request('resources/list', {}, { timeoutMs: 5000 }), (error) => {
+        assert.ok(error instanceof McpError);
+        assert.equal(error.code, -32601);
+        return true;
+    });
+});
+
+test('rejects open and later requests when the server crashes', async (t) => {
+    const client = createClient(t);
+    await client.connect();
+
+    await assert.rejects(client.callTool('crash', {}), /MCP server "stub" exited \(code 3\): stub stderr output\nstub crashed/);
+    await assert.rejects(client.callTool('echo', { text: 'hi' }), /exited/);
+});
+
+test('fails a tool call that takes longer than callTimeoutMs', async (t) => {
+    const client = createClient(t, { callTimeoutMs: 200 });
+    await client.connect();
+
+    await assert.rejects(client.callTool('hang', {}), /did not answer "tools\/call" within 0.2s/);
+    // The server is still usable afterwards
+    assert.equal((await client.callTool('echo', { text: 'again' })).content[0].text, 'echo: again');
+});
+
+test('aborts a tool call', async (t) => {
+    const client = createClient(t);
+    await client.connect();
+
+    const controller = new AbortController();
+    const call = client.callTool('hang', {}, controller.signal);
+    controller.abort();
+    await assert.rejects(call, { name: 'AbortError' });
+});
+
+test('fails to connect to a server that is not found or does not answer', async (t) => {
+    await assert.rejects(createClient(t, { command: 'does-not-exist-mcp-server' }).connect(), /could not be started/);
+
+    const silentClient = new McpClient('silent', { command: process.execPath, args: [STUB_SERVER], env: { STUB_MODE: 'silent' } });
+    t.after(() => silentClient.close());
+    const originalRequest = silentClient.request.bind(silentClient);
+    // Shorten the startup timeout of the handshake for the test
+    silentClient.request = (method, params, options) => originalRequest(method, params, { ...options, timeoutMs: 200 });
+    await assert.rejects(silentClient.connect(), /did not answer "initialize" within 0.2s/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { evaluatePermissionPolicy } = require('../src/utils/policy.js');
+
+/**
+ * Switches to a workspace with the given policy file; the previous directory is restored after the test.
+ * @param {object} t - The test context.
+ * @param {object} policy - The content of .agent/permissions.json.
+ */
+async function usePolicy(t, policy) {
+    const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-policy-'));
+    await fs.mkdir(path.join(workspace, '.agent'));
+    await fs.writeFile(path.join(workspace, '.agent', 'permissions.json'), JSON.stringify(policy));
+
+    const previousDir = process.cwd();
+    process.chdir(workspace);
+    t.after(async () => {
+        process.chdir(previousDir);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+}
+
+/**
+ * Evaluates the policy for a runCommand call.
+ * @param {string} command - The shell command.
+ * @returns {Promise<string|null>} - The decision of the policy.
+ */
+function evaluateCommand(command) {
+    return evaluatePermissionPolicy('runCommand', { command });
+}
+
+test('deny rules match every command the shell runs', async (t) => {
+    await usePolicy(t, { deny: [{ tool: 'runCommand', command: 'rm' }], allow: [{ tool: 'runCommand' }] });
+
+    for (const command of [
+        'rm -rf x',
+        'echo a && rm -rf x',
+        'echo a; rm -rf x',
+        'echo a | rm -rf x',
+        'echo a & rm -rf x',
+        'echo $(rm -rf x)',
+        'echo `rm -rf x`',
+        '(rm -rf x)',
+        'FOO=1 rm -rf x',
+        'sudo rm -rf x',
+        'sudo -u root rm -rf x',
+        'env -i FOO=1 rm -rf x',
+        'timeout 5 rm -rf x',
+        '/bin/rm -rf x',
+        '"rm" -rf x',
+    ]) {
+        assert.equal(await evaluateCommand(command), 'deny', command);
+    }
+    assert.equal(await evaluateCommand('echo rm'), 'allow');
+    assert.equal(await evaluateCommand('ls -la'), 'allow');
+});
+
+test('deny rules with a subcommand match only that subcommand', async (t) => {
+    await usePolicy(t, { deny: [{ tool: 'runCommand', command: 'git push' }] });
+
+    assert.equal(await evaluateCommand('git push origin main'), 'deny');
+    assert.equal(await evaluateCommand('git status && git push'), 'deny');
+    assert.equal(await evaluateCommand('nohup git push &'), 'deny');
+    assert.equal(await evaluateCommand('git status'), null);
+    assert.equal(await evaluateCommand('git pull'), null);
+});
+
+test('rules for a wrapper match the wrapper itself', async (t) => {
+    await usePolicy(t, { ask: [{ tool: 'runCommand', command: 'sudo' }] });
+
+    assert.equal(await evaluateCommand('sudo ls'), 'ask');
+    assert.equal(await evaluateCommand('echo a; sudo ls'), 'ask');
+    assert.equal(await evaluateCommand('ls'), null);
+});
+
+test('allow rules never cover chained commands', async (t) => {
+    await usePolicy(t, { allow: [{ tool: 'runCommand', command: 'npm test' }] });
+
+    assert.equal(await evaluateCommand('npm test'), 'allow');
+    assert.equal(await evaluateCommand('npm test -- --watch'), 'allow');
+    assert.equal(await evaluateCommand('npm test & rm -rf x'), null);
+    assert.equal(await evaluateCommand('npm test $(rm -rf x)'), null);
+});
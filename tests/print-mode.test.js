@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const INDEX_FILE = path.join(__dirname, '..', 'index.js');
+
+// Events of a Messages API response that answers with a short text
+const ANSWER_EVENTS = [
+    { type: 'message_start', message: { model: 'stub-model', usage: { input_tokens: 10, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello again.' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } },
+    { type: 'message_stop' },
+];
+
+/**
+ * Starts a server that answers every request like the Messages API; it is closed after the test.
+ * @param {object} t - The test context.
+ * @returns {Promise<string>} - The base URL of the server.
+ */
+async function startApiServer(t) {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.end(ANSWER_EVENTS.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join(''));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Creates a workspace with a saved session whose last tool call was interrupted; it is removed after the test.
+ * @param {object} t - The test context.
+ * @returns {Promise<string>} - The path of the workspace.
+ */
+async function createWorkspace(t) {
+    const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-print-'));
+    t.after(() => fs.rm(workspace, { recursive: true, force: true }));
+
+    const id = '00000000-0000-4000-8000-000000000000';
+    const records = [
+        { type: 'session', version: 1, id, createdAt: new Date().toISOString(), cwd: workspace },
+        { type: 'message', message: { role: 'user', content: 'List the files' } },
+        { type: 'message', message: { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'listDirectory', input: {} }] } },
+    ];
+    const sessionsDir = path.join(workspace, '.agent', 'sessions');
+    await fs.mkdir(sessionsDir, { recursive: true });
+    await fs.writeFile(path.join(sessionsDir, `${id}.jsonl`), records.map(record => JSON.stringify(record) + '\n').join(''));
+    return workspace;
+}
+
+test('writes only event lines to stdout when a session is resumed', async (t) => {
+    const baseUrl = await startApiServer(t);
+    const workspace = await createWorkspace(t);
+
+    const { stdout, stderr } = await promisify(execFile)(
+        process.execPath,
+        [INDEX_FILE, '-p', 'Go on', '--continue', '--output-format', 'stream-json'],
+        {
+            cwd: workspace,
+            env: { ...process.env, HOME: workspace, CLAUDE_API_KEY: 'test', AGENT_PROVIDER: 'anthropic', AGENT_API_BASE_URL: baseUrl },
+            timeout: 30000,
+        }
+    );
+
+    const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(events[0].type, 'init');
+    assert.equal(events.at(-1).type, 'result');
+    assert.equal(events.at(-1).result, 'Hello again.');
+    assert.match(stderr, /\[Resumed session 00000000-/);
+    assert.match(stderr, /\[1 interrupted tool call\(s\) marked as failed\]/);
+});
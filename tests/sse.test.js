@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSSEDecoder, parseSSEStream } = require('../src/utils/sse.js');
+
+/**
+ * Feeds chunks to a new decoder and collects all events.
+ * @param {Array<string>} chunks - The text chunks.
+ * @returns {Array<object>} - The decoded events.
+ */
+function decode(chunks) {
+    const decoder = createSSEDecoder();
+    const events = [];
+    for (const chunk of chunks) {
+        events.push(...decoder.push(chunk));
+    }
+    events.push(...decoder.end());
+    return events;
+}
+
+test('decodes events with LF line endings', () => {
+    const events = decode(['event: ping\ndata: {}\n\nevent: message_stop\ndata: {"a":1}\n\n']);
+    assert.deepEqual(events, [
+        { event: 'ping', data: '{}', id: '' },
+        { event: 'message_stop', data: '{"a":1}', id: '' },
+    ]);
+});
+
+test('decodes events with CRLF and CR line endings', () => {
+    assert.deepEqual(decode(['event: a\r\ndata: 1\r\n\r\n']), [{ event: 'a', data: '1', id: '' }]);
+    assert.deepEqual(decode(['event: b\rdata: 2\r\r']), [{ event: 'b', data: '2', id: '' }]);
+});
+
+test('handles a CRLF split between two chunks', () => {
+    const events = decode(['data: 1\r', '\n\r', '\ndata: 2\r\n\r\n']);
+    assert.deepEqual(events.map(event => event.data), ['1', '2']);
+});
+
+test('joins events split across chunks', () => {
+    const text = 'event: content_block_delta\ndata: {"text":"Hello"}\n\n';
+    const chunks = text.split('');
+    assert.deepEqual(decode(chunks), [{ event: 'content_block_delta', data: '{"text":"Hello"}', id: '' }]);
+});
+
+test('joins multi-line data with newlines', () => {
+    const events = decode(['data: first\ndata:second\ndata:  third\n\n']);
+    assert.equal(events[0].data, 'first\nsecond\n third');
+    assert.equal(events[0].event, 'message');
+});
+
+test('ignores comments and events without data', () => {
+    const events = decode([': keep-alive\n\nevent: empty\n\n: comment\ndata: x\n\n']);
+    assert.deepEqual(events, [{ event: 'message', data: 'x', id: '' }]);
+});
+
+test('removes a byte order mark at the start of the stream only', () => {
+    const events = decode(['\uFEFFdata: a\n\n', '\uFEFFdata: b\n\n']);
+    assert.equal(events[0].data, 'a');
+    assert.equal(events.length, 1, 'the second line has an unknown field name');
+});
+
+test('keeps the last event id', () => {
+    const events = decode(['id: 7\ndata: a\n\ndata: b\n\n']);
+    assert.deepEqual(events.map(event => event.id), ['7', '7']);
+});
+
+test('discards a final event without a trailing blank line', () => {
+    assert.deepEqual(decode(['data: complete\n\ndata: incomplete\n']), [{ event: 'message', data: 'complete', id: '' }]);
+    assert.deepEqual(decode(['data: incomplete']), []);
+});
+
+test('parseSSEStream decodes a response body with multi-byte characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('data: Grüße\n\n');
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes.slice(0, 9));
+            controller.enqueue(bytes.slice(9));
+            controller.close();
+        },
+    });
+
+    const events = [];
+    for await (const event of parseSSEStream(body)) {
+        events.push(event);
+    }
+    assert.deepEqual(events, [{ event: 'message', data: 'Grüße', id: '' }]);
+});
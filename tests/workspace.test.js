@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { isInsideWorkspace } = require('../src/utils/files.js');
+const { findToolByName } = require('../src/tools.js');
+
+// Context of a tool call that grants every permission
+const TOOL_CONTEXT = { requestPermission: async () => true };
+
+/**
+ * Switches to a workspace "app" next to a sibling directory "app-other" that shares its name as prefix.
+ * Both are removed and the previous directory is restored after the test.
+ * @param {object} t - The test context.
+ * @returns {Promise<string>} - The path of the sibling directory.
+ */
+async function useWorkspaceWithSibling(t) {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-workspace-'));
+    const workspace = path.join(rootDir, 'app');
+    const siblingDir = path.join(rootDir, 'app-other');
+    await fs.mkdir(workspace);
+    await fs.mkdir(siblingDir);
+    await fs.writeFile(path.join(siblingDir, 'secret.txt'), 'secret\n');
+
+    const previousDir = process.cwd();
+    process.chdir(workspace);
+    t.after(async () => {
+        process.chdir(previousDir);
+        await fs.rm(rootDir, { recursive: true, force: true });
+    });
+    return siblingDir;
+}
+
+test('accepts only paths inside the workspace', async (t) => {
+    const siblingDir = await useWorkspaceWithSibling(t);
+
+    assert.equal(isInsideWorkspace(process.cwd()), true);
+    assert.equal(isInsideWorkspace(path.join(process.cwd(), 'src', 'a.js')), true);
+    assert.equal(isInsideWorkspace(path.join(process.cwd(), '..notes')), true);
+    assert.equal(isInsideWorkspace(path.dirname(process.cwd())), false);
+    assert.equal(isInsideWorkspace(siblingDir), false);
+    assert.equal(isInsideWorkspace(path.join(siblingDir, 'secret.txt')), false);
+});
+
+test('write tools reject sibling directories with the same prefix', async (t) => {
+    await useWorkspaceWithSibling(t);
+
+    await assert.rejects(
+        findToolByName('replaceInFile').call({ filePath: '../app-other/secret.txt', oldString: 'secret', newString: 'x' }, TOOL_CONTEXT),
+        /outside the workspace/
+    );
+    const patch = '--- a/../app-other/secret.txt\n+++ b/../app-other/secret.txt\n@@ -1 +1 @@\n-secret\n+x\n';
+    await assert.rejects(findToolByName('applyPatch').call({ patch }, TOOL_CONTEXT), /outside the workspace/);
+    assert.equal(await fs.readFile('../app-other/secret.txt', 'utf-8'), 'secret\n');
+});
+
+test('runCommand does not start in a sibling directory with the same prefix', async (t) => {
+    await useWorkspaceWithSibling(t);
+
+    await assert.rejects(
+        findToolByName('runCommand').call({ command: 'cat secret.txt', cwd: '../app-other' }, TOOL_CONTEXT),
+        /outside the workspace/
+    );
+});
+
+test('search tools do not read sibling directories with the same prefix', async (t) => {
+    await useWorkspaceWithSibling(t);
+
+    await assert.rejects(
+        findToolByName('searchFiles').call({ pattern: 'secret', dirPath: '../app-other' }, TOOL_CONTEXT),
+        /outside the workspace/
+    );
+    await assert.rejects(
+        findToolByName('findFiles').call({ pattern: '*.txt', dirPath: '../app-other' }, TOOL_CONTEXT),
+        /outside the workspace/
+    );
+});